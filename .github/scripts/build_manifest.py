@@ -0,0 +1,234 @@
+import os
+import re
+import json
+import glob
+from datetime import datetime
+
+GAMES_DIR = "games"
+MANIFEST_FILE = os.path.join(GAMES_DIR, "manifest.json")
+INDEX_FILE = os.path.join(GAMES_DIR, "index.json")
+SEARCH_INDEX_FILE = os.path.join(GAMES_DIR, "search-index.json")
+ANALYTICS_FILE = os.path.join(GAMES_DIR, "analytics.json")
+# A screenshot saved next to the game (games/2025-10-31.png) or in games/thumbnails/, whichever exists
+THUMBNAIL_DIRS = [os.path.join(GAMES_DIR, "thumbnails"), GAMES_DIR]
+THUMBNAIL_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".svg"]
+DATE_NAME = re.compile(r"^\d{4}-\d{2}-\d{2}$")
+# Games in games/ that are not dailies, so not archived; the same set as HALL_OF_FAME_GAMES in script.js
+HALL_OF_FAME_GAMES = {"endless-adventure", "tens-and-trails"}
+
+# Where a game names itself, most reliable first. Only the first candidate that looks like a title is used.
+TITLE_PATTERNS = [
+    re.compile(r"""\b(?:GAME_TITLE|TITLE|gameTitle|title)\s*[:=]\s*(['"`])([^'"`\n$]{4,80})\1"""),
+    re.compile(r"""document\.title\s*=\s*(['"`])([^'"`\n$]{4,80})\1"""),
+    re.compile(r"""aria-label['"]?\s*,\s*(['"`])([^'"`\n$]{4,120})\1"""),
+    re.compile(r"""fillText\(\s*(['"`])([^'"`\n$]{4,40})\1"""),
+]
+TITLE_WORDS = re.compile(r"(?i)\b(math|quest|adventure|dash|mission|catcher|collector|rescue|delivery|harvest|machines?|circuit|city|factory|forest|lab|workshop)\b")
+NOT_A_TITLE = re.compile(r"(?i)\b(px|fixed|out of|place|start|engage|reset|restart|interactive|victory|you win|you won|game over|press|click|score|level|lives|round|well done|great|correct|try again|oops|sound|audio|loading)\b|[:0-9(]")
+TITLE_SMALL_WORDS = {"of", "the", "and", "a", "to", "in", "on", "math"}
+
+# Math skill vocabulary shared with the question library; matched against on-screen text and comments
+SKILL_PATTERNS = {
+    "addition": r"\b(add(ition|ing)?|sums?|plus)\b|\}\s*\+\s*\$\{|\d\s*\+\s*\d",
+    "subtraction": r"\b(subtract(ion|ing)?|minus|difference|take away)\b|\}\s*[-−]\s*\$\{|\d\s[-−]\s\d",
+    "multiplication": r"\b(multipl(y|ication|ied)|times tables?|products?)\b|×|\}\s*[x*]\s*\$\{",
+    "division": r"\b(divi(de|sion|ded)|quotient|share equally)\b|÷",
+    "counting": r"\b(count(ing)?|how many)\b",
+    "comparison": r"\b(compare|comparison|greater than|less than|bigger number|smaller number)\b",
+    "patterns": r"\b(number patterns?|sequences?|next number|skip count(ing)?)\b",
+    "place value": r"\b(place value|tens and ones)\b",
+    "fractions": r"\b(fractions?|halves|one half|quarters?)\b",
+    "shapes": r"\b(hexagons?|polygons?|name the shape|shape names?)\b",
+    "money": r"\b(coins?|money|cents?|dollars?)\b",
+    "time": r"\b(o'clock|telling time|what time)\b",
+}
+OPERATOR_SKILLS = {"+": "addition", "-": "subtraction", "*": "multiplication", "×": "multiplication", "÷": "division", "/": "division"}
+STRING_LITERAL = re.compile(r"""'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"|`(?:[^`\\]|\\.)*`""")
+MAX_SKILLS = 3
+
+def extract_title(game_code):
+    """Best-effort game title from the code itself, or None when nothing title-like is found."""
+    for pattern in TITLE_PATTERNS:
+        for match in pattern.finditer(game_code):
+            title = match.group(2).strip()
+            # "Drone Math Catcher. Use left and right arrows..." -> "Drone Math Catcher"
+            title = re.split(r"(?<=[a-z!])[.!]\s|\s[-—–]\s", title)[0].strip().rstrip(".!")
+            title = re.sub(r"(?i)\s+(math\s+)?(game|puzzle)?\s*(canvas|area|stage|screen)\b.*$", "", title)
+            title = re.sub(r"(?i)^welcome to\s+|\s+game$", "", title).strip()
+            words = title.split()
+            if not 2 <= len(words) <= 6 or title.isupper():
+                continue
+            if not TITLE_WORDS.search(title) or NOT_A_TITLE.search(title):
+                continue
+            if all(word[0].isupper() or word.lower() in TITLE_SMALL_WORDS for word in words):
+                return " ".join(word[0].upper() + word[1:] for word in words)
+    return None
+
+def extract_skills(game_code):
+    """Math skills a game practises, most prominent first, from its user-facing strings and comments."""
+    # Strings without a space are identifiers ('triangle' oscillators, 'round' line caps), not text
+    text = "\n".join(m.group(0) for m in STRING_LITERAL.finditer(game_code) if " " in m.group(0))
+    text += "\n" + "\n".join(re.findall(r"//[^\n]*", game_code))
+    counts = {skill: len(re.findall(pattern, text, re.I)) for skill, pattern in SKILL_PATTERNS.items()}
+    for operator in set(re.findall(r"""['"]([-+*×÷/])['"]""", game_code)):
+        counts[OPERATOR_SKILLS[operator]] += 1
+    ranked = sorted((skill for skill in counts if counts[skill] > 0), key=lambda skill: -counts[skill])
+    return ranked[:MAX_SKILLS]
+
+def extract_age_band(prompt):
+    """Age band such as "7-9" from a prompt that says "...for children ages 7 to 9...", or None."""
+    match = re.search(r"\bages?\s+(\d+)\s*(?:to|-|–)\s*(\d+)", prompt or "")
+    return f"{match.group(1)}-{match.group(2)}" if match else None
+
+def summarize_functionality(metadata):
+    """Final functionality score when the game went through the improvement step, else the first one."""
+    functionality = metadata.get("final_functionality") or metadata.get("functionality")
+    if not functionality:
+        return None
+    return {
+        "score": functionality["score"],
+        "max_score": functionality["max_score"],
+        "percentage": functionality["percentage"],
+        "passing": functionality["passing"],
+    }
+
+def find_thumbnail(date_name):
+    """Site-relative path of the game's thumbnail image, or None when it has none."""
+    for directory in THUMBNAIL_DIRS:
+        for extension in THUMBNAIL_EXTENSIONS:
+            path = os.path.join(directory, f"{date_name}{extension}")
+            if os.path.isfile(path):
+                return path.replace(os.sep, "/")
+    return None
+
+def build_entry(date_name, metadata):
+    game_file = os.path.join(GAMES_DIR, f"{date_name}.js")
+    with open(game_file, "r", encoding="utf-8") as f:
+        game_code = f.read()
+    return {
+        "date": date_name,
+        "title": metadata.get("title") or extract_title(game_code),
+        "theme": metadata.get("theme"),
+        "model": metadata.get("model"),
+        "skills": metadata.get("skills") or extract_skills(game_code),
+        "age_band": extract_age_band(metadata.get("prompt")),
+        "functionality": summarize_functionality(metadata),
+        "size_bytes": metadata.get("game_size_bytes") or os.path.getsize(game_file),
+        "file": f"games/{date_name}.js",
+        "thumbnail": find_thumbnail(date_name),
+    }
+
+def build_analytics_record(date_name, metadata):
+    """The per-game numbers analytics.html charts: tokens per step, size, scores and issue strings."""
+    def score(functionality):
+        if not functionality:
+            return None
+        return {
+            "percentage": functionality["percentage"],
+            "passing": functionality["passing"],
+            "issues": functionality.get("issues", []),
+            "warnings": functionality.get("warnings", []),
+        }
+    return {
+        "date": date_name,
+        "model": metadata.get("model"),
+        "theme": metadata.get("theme"),
+        "tokens": {
+            "generate": metadata.get("response_tokens"),
+            "improve": metadata.get("improve_response_tokens"),
+            "format": metadata.get("formatting_response_tokens"),
+        },
+        # Input/output split per model call; only recorded for games generated after it was added
+        "token_usage": metadata.get("token_usage"),
+        # Prompt lengths let older games' input tokens be estimated (the improve prompt embeds the game)
+        "prompt_chars": len(metadata.get("prompt") or ""),
+        "improve_prompt_chars": len(metadata.get("improve_prompt") or ""),
+        "game_size_bytes": metadata.get("game_size_bytes"),
+        "functionality": score(metadata.get("functionality")),
+        "final_functionality": score(metadata.get("final_functionality")),
+    }
+
+def write_search_index(prompts):
+    """Prompt text for the archive browser's free-text search.
+
+    Most days share one of a handful of prompts, so each distinct prompt is stored once and games point at it.
+    """
+    unique_prompts = []
+    prompt_ids = {}
+    games = {}
+    for date_name in sorted(prompts):
+        prompt = prompts[date_name]
+        if prompt not in prompt_ids:
+            prompt_ids[prompt] = len(unique_prompts)
+            unique_prompts.append(prompt)
+        games[date_name] = prompt_ids[prompt]
+    with open(SEARCH_INDEX_FILE, "w", encoding="utf-8") as f:
+        json.dump({"prompts": unique_prompts, "games": games}, f, ensure_ascii=False)
+
+def build_manifest():
+    """Build games/manifest.json from the *.meta.json files and rewrite games/index.json to match.
+
+    Also writes games/search-index.json with the prompts used for free-text search in the archive browser,
+    and games/analytics.json with the per-game numbers charted on analytics.html.
+
+    Metadata whose game file is missing is rejected, as is any game file that is not a plain YYYY-MM-DD
+    date (e.g. "2025-07-15 copy.js") or one of the Hall of Fame games. Games from before metadata was recorded are still listed, with
+    whatever can be read from their code.
+    """
+    entries = {}
+    prompts = {}
+    analytics = []
+    rejected = []
+
+    for meta_file in sorted(glob.glob(os.path.join(GAMES_DIR, "*.meta.json"))):
+        date_name = os.path.basename(meta_file)[:-len(".meta.json")]
+        try:
+            with open(meta_file, "r", encoding="utf-8") as f:
+                metadata = json.load(f)
+        except (OSError, json.JSONDecodeError) as e:
+            rejected.append((date_name, f"unreadable metadata: {e}"))
+            continue
+        if not DATE_NAME.match(date_name):
+            # Hall of Fame games keep metadata such as touch controls but are not archived
+            if date_name not in HALL_OF_FAME_GAMES:
+                rejected.append((date_name, "not a dated game"))
+            continue
+        if not os.path.exists(os.path.join(GAMES_DIR, f"{date_name}.js")):
+            rejected.append((date_name, "game file is missing"))
+            continue
+        entries[date_name] = build_entry(date_name, metadata)
+        if metadata.get("prompt"):
+            prompts[date_name] = metadata["prompt"]
+        analytics.append(build_analytics_record(date_name, metadata))
+
+    for game_file in sorted(glob.glob(os.path.join(GAMES_DIR, "*.js"))):
+        date_name = os.path.basename(game_file)[:-len(".js")]
+        if date_name in entries or date_name == "latest" or date_name.startswith("latest "):
+            continue
+        if not DATE_NAME.match(date_name):
+            if date_name not in HALL_OF_FAME_GAMES:
+                rejected.append((date_name, "not a dated game"))
+            continue
+        entries[date_name] = build_entry(date_name, {})
+
+    games = [entries[date_name] for date_name in sorted(entries)]
+    manifest = {
+        "generated_timestamp": datetime.now().isoformat(),
+        "games": games,
+    }
+    with open(MANIFEST_FILE, "w", encoding="utf-8") as f:
+        json.dump(manifest, f, indent=2, ensure_ascii=False)
+    # index.json stays the plain date list for older clients and the smoke test
+    with open(INDEX_FILE, "w") as f:
+        json.dump([game["date"] for game in games], f)
+    write_search_index(prompts)
+    with open(ANALYTICS_FILE, "w", encoding="utf-8") as f:
+        json.dump({"generated_timestamp": manifest["generated_timestamp"], "games": analytics}, f, ensure_ascii=False)
+
+    print(f"✅ Wrote {MANIFEST_FILE} with {len(games)} games")
+    for date_name, reason in rejected:
+        print(f"⚠️  Skipped {date_name}: {reason}")
+    return manifest
+
+if __name__ == "__main__":
+    build_manifest()
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Checks the math question library (question-library.js) over many seeds and operand ranges.
+//
+// Usage: node .github/scripts/check_question_library.js [seeds]
+//
+// Every question must come with its answer among its choices and distinct wrong answers that are not
+// the answer, and number patterns must keep every term (the answer included) inside the operand range
+// and above zero. Problems are printed with the seed that produced them; exits 1 if there are any.
+// No dependencies.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const QUESTION_LIBRARY_FILE = path.join(REPO_ROOT, 'question-library.js');
+const DEFAULT_SEEDS = 500;
+const MAX_PRINTED = 20;
+// The default range plus the operand ranges difficulty.js hands out
+const RANGES = [[1, 20], [1, 5], [2, 11], [5, 20], [10, 50], [20, 99], [11, 19], [3, 6]];
+
+function loadLibrary() {
+  const context = vm.createContext({ Math, String, Number, Array, Object, TypeError });
+  context.window = context;
+  vm.runInContext(fs.readFileSync(QUESTION_LIBRARY_FILE, 'utf8'), context, { filename: 'question-library.js' });
+  return context.GameOfTheDayQuestions;
+}
+
+// Problems with one question, as strings
+function checkQuestion(question, range) {
+  const problems = [];
+  if (!question.choices.some((choice) => String(choice) === String(question.answer))) {
+    problems.push('answer missing from choices');
+  }
+  if (question.distractors.some((value) => String(value) === String(question.answer))) {
+    problems.push('a distractor equals the answer');
+  }
+  if (new Set(question.choices.map(String)).size !== question.choices.length) {
+    problems.push('repeated choices');
+  }
+  if (question.type === 'number-pattern') {
+    const terms = question.text.split(', ').map((term) => (term === '?' ? question.answer : Number(term)));
+    const [min, max] = [Math.max(1, range[0]), Math.max(range[0] + terms.length - 1, range[1])];
+    if (terms.some((term) => !Number.isInteger(term) || term < min || term > max)) {
+      problems.push(`a term is outside ${min}-${max}`);
+    }
+  }
+  return problems;
+}
+
+function main() {
+  const seeds = Number(process.argv[2]) || DEFAULT_SEEDS;
+  const library = loadLibrary();
+  const failures = [];
+  let checked = 0;
+
+  for (let seed = 0; seed < seeds; seed++) {
+    RANGES.forEach((range) => {
+      const generator = library.createGenerator(`check-${seed}`);
+      library.types.forEach((type) => {
+        const question = generator.next(type, { range });
+        checked++;
+        checkQuestion(question, range).forEach((problem) => {
+          failures.push(`${type} [${range.join('-')}] seed check-${seed}: "${question.text}" => ${question.answer}: ${problem}`);
+        });
+      });
+    });
+  }
+
+  failures.slice(0, MAX_PRINTED).forEach((failure) => console.log(`❌ ${failure}`));
+  if (failures.length > MAX_PRINTED) console.log(`...and ${failures.length - MAX_PRINTED} more`);
+  console.log(`${failures.length ? '❌' : '✅'} ${checked} questions checked, ${failures.length} problem(s)`);
+  process.exit(failures.length ? 1 : 0);
+}
+
+main();
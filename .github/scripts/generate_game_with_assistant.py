@@ -10,6 +10,8 @@ import sys
 script_dir = os.path.dirname(os.path.abspath(__file__))
 sys.path.insert(0, script_dir)
 
+from build_manifest import build_manifest
+
 try:
     from test_functionality import validate_accessibility
     print("✅ Functionality testing module imported successfully")
@@ -112,6 +114,19 @@ ACCESSIBILITY_THRESHOLD = 60  # Minimum accessibility score required
 # Load your OpenAI API key from GitHub Secrets or environment
 client = openai.OpenAI(api_key=os.getenv("OPENAI_API_KEY"))
 
+# Input/output token split of every model call, so the analytics page can price each game
+token_usage = {}
+
+def record_usage(step, response):
+    usage = getattr(response, 'usage', None)
+    if usage is None:
+        return
+    token_usage[step] = {
+        "input_tokens": getattr(usage, 'input_tokens', None),
+        "output_tokens": getattr(usage, 'output_tokens', None),
+        "total_tokens": getattr(usage, 'total_tokens', None)
+    }
+
 # Read a file and include its contents in the prompt
 with open('games/latest.js', 'r') as f:
     file_content = f.read()
@@ -130,6 +145,15 @@ The game must:
 • Include sound, using the Web Audio API for correct/incorrect feedback, gentle background effects, or interactions. Use an audio context.
 • Render entirely inside the existing HTML element with ID game-of-the-day-stage. You may create a canvas element inside it .
 • Have a game area exactly 720px wide by 480px tall.
+• Register with the host instead of starting on load: call window.GameOfTheDay.register({{ init(stage, options), pause(), resume(), destroy(), getState() }}). Do all setup inside init(stage, options), render into the stage element it receives, stop the game loop and timers in pause()/destroy() (the host calls pause() when the player leaves the tab or presses Pause, so do not listen for blur or visibilitychange yourself), and return score and win/loss status from getState() as {{ score, status: 'playing' | 'won' | 'lost' }}. When a round ends, call window.GameOfTheDay.reportProgress({{ result: 'won' or 'lost', score, questionsAnswered }}).
+• Report learning events so teachers can see accuracy per skill: call window.GameOfTheDay.track('question_shown', {{ question, expected, skill }}) when a question appears, track('answer_submitted', {{ question, answer, expected, correct }}) for every answer, and track('hint_used', {{ question }}) when a hint is given. Use question text like '7 + 5' and skill names such as 'addition', 'subtraction', 'multiplication', 'place value' or 'patterns'.
+• Take difficulty from the host instead of hard-coding it: const difficulty = window.GameOfTheDay.getDifficulty(skill) returns {{ operandRange: [min, max], operations: {{ '+': share, '-': share, '×': share }}, factorRange, timeLimitSec, lives, targetScore }} for the child's level (or null when run outside the site, so keep sensible defaults). Read it in init() and whenever a new round starts.
+• Do not write your own math question code. Use the question library: const questions = window.GameOfTheDay.questions.createGenerator(seed); const q = questions.next(type, {{ difficulty }}) with type one of 'addition', 'subtraction', 'missing-addend', 'skip-counting', 'number-pattern', 'place-value', 'comparison', 'multiplication' (addition and subtraction also take regrouping: true or false). Show q.text, offer q.choices, check answers with questions.isCorrect(q, value), and pass q.skill to track().
+• Never use prompt(), alert() or confirm(): they freeze the game and crash on cancel. When the player has to type or pick an answer, use the in-canvas answer pad: const {{ value, correct, cancelled }} = await window.GameOfTheDay.answerPad.ask({{ question: q.text, answer: q.answer, skill: q.skill, choices: q.choices }}) (leave out choices for a number pad). It checks the answer, shows feedback, announces it for screen readers and tracks the question and answer itself, so do not call track() for those.
+• Make the game playable with one switch: list what the player can choose right now with window.GameOfTheDay.registerScanTargets(() => [{{ label: 'Answer 12', x, y, width, height, select: () => choose(12) }}]) (x/y/width/height in stage pixels). When switch scanning is on, the host highlights and reads out each target in turn and calls select() for the one the player picks.
+• Respect the player's settings: const settings = window.GameOfTheDay.getSettings() gives {{ reducedMotion, highContrast, largerText, colorblindPalette, ... }}, and window.GameOfTheDay.onSettingsChange(fn) tells you when they change. With reducedMotion, skip screen shake, flashing and large camera moves; with largerText, draw text bigger. Volume and mute are handled by the host: connect sound effects to ctx.destination and background music to window.GameOfTheDay.getMusicDestination(ctx), and do not add your own mute key or volume control.
+• Announce every instruction, question and result in an aria-live region (or call window.GameOfTheDay.speak(text)): when the player turns on read-aloud, the host reads these out so children who cannot read yet can play. Write them as short spoken sentences, and use aria-live="assertive" only for what must cut in.
+• Keep play replayable: take randomness from Math.random and time from performance.now() or Date.now(), run the game through requestAnimationFrame and setTimeout/setInterval (the host records and replays sessions through them), and never let play depend on when a sound ends or an image finishes loading.
 • Be written in clean, readable JavaScript with proper formatting, indentation, and comments.
 • Use modern JavaScript practices and avoid minification.
 • Include proper error handling for audio and resource loading.
@@ -152,6 +176,7 @@ response = client.responses.create(
     model=MODEL_NAME,
     input=[{"role": "user", "content": prompt}]
 )
+record_usage("generate", response)
 
 # Step 2: Extract the assistant's reply
 response_text = response.output_text
@@ -203,6 +228,7 @@ The game must:
         model=MODEL_NAME,
         input=[{"role": "user", "content": dependency_fix_prompt}]
     )
+    record_usage("dependency_fix", dependency_fix_response)
     fixed_dependency_code = dependency_fix_response.output_text
     
     # Strip markdown code blocks from fixed code
@@ -266,6 +292,7 @@ The game must:
         model=MODEL_NAME,
         input=[{"role": "user", "content": functionality_improve_prompt}]
     )
+    record_usage("functionality_fix", functionality_improve_response)
     improved_functionality_code = functionality_improve_response.output_text
     
     # Strip markdown code blocks from improved code
@@ -390,6 +417,7 @@ Create all visual elements using canvas drawing methods (rect, arc, fillText, et
 Generate all sounds using Web Audio API oscillators and filters.
 Include proper error handling for audio context creation.
 MAINTAIN clear win and loss conditions - do not remove game completion logic or end screens.
+MAINTAIN the window.GameOfTheDay.register(...) call and its init/pause/resume/destroy/getState hooks.
 MAINTAIN proper UI spacing - ensure text has padding, no overlaps, and proper alignment.
 Output only JavaScript code. No extra explanation, no markdown formatting, no code blocks.
 Do not wrap the code in ```javascript or any other markdown formatting.
@@ -403,6 +431,7 @@ improve_response = client.responses.create(
     model=MODEL_NAME,
     input=[{"role": "user", "content": improve_prompt}]
 )
+record_usage("improve", improve_response)
 improved_code = improve_response.output_text
 
 # Strip markdown code blocks if present
@@ -433,6 +462,7 @@ formatting_response = client.responses.create(
     model=MODEL_NAME,
     input=[{"role": "user", "content": formatting_prompt}]
 )
+record_usage("format", formatting_response)
 formatted_code = formatting_response.output_text
 
 # Strip markdown code blocks from formatted code as well
@@ -453,6 +483,7 @@ metadata["improve_prompt"] = improve_prompt
 metadata["improve_response_tokens"] = improve_response.usage.total_tokens if hasattr(improve_response, 'usage') else None
 metadata["formatted_code"] = True
 metadata["formatting_response_tokens"] = formatting_response.usage.total_tokens if hasattr(formatting_response, 'usage') else None
+metadata["token_usage"] = token_usage
 metadata["final_functionality"] = {
     "score": improved_functionality_result['score'],
     "max_score": improved_functionality_result['max_score'],
@@ -503,8 +534,5 @@ print(f"✅ Code formatting ensured for games/{today}.js and games/latest.js")
 print(f"✅ Final functionality score: {improved_functionality_result['percentage']:.1f}%")
 print(f"✅ Metadata updated for games/{today}.meta.json and games/{today}.meta.md")
 
-# Update the index.json file
-game_files = sorted(glob.glob("games/2025-*.js"))
-dates = [f.split('/')[-1].replace('.js', '') for f in game_files]
-with open("games/index.json", "w") as f:
-    json.dump(dates, f)
\ No newline at end of file
+# Rebuild the archive manifest (and the plain index.json date list) from the metadata files
+build_manifest()
\ No newline at end of file
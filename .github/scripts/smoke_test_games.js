@@ -0,0 +1,649 @@
+#!/usr/bin/env node
+// Headless smoke test for archived games.
+//
+// Usage: node .github/scripts/smoke_test_games.js [--out games/smoke-report.json] [date ...]
+//
+// Boots each game the way the site does - question-library.js and game-runtime.js first, then the runtime's own loader
+// appends games/<date>.js - inside a Node vm context with a small fake DOM: a stub 2D canvas context
+// that counts draw calls, a stub AudioContext, and a fake clock driving timers and
+// requestAnimationFrame. Each game runs for a few simulated seconds, receives synthetic key and click
+// events, and is then torn down with the frame-side __cleanupCurrentGame. A game fails if it throws,
+// never draws, or keeps running timers/frames/audio after cleanup.
+//
+// With no dates, every entry in games/index.json plus "latest" is tested. The report is printed and,
+// with --out, written as JSON so it can be published next to index.json. No dependencies.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const GAMES_DIR = path.join(REPO_ROOT, 'games');
+const RUNTIME_FILE = path.join(REPO_ROOT, 'game-runtime.js');
+const QUESTION_LIBRARY_FILE = path.join(REPO_ROOT, 'question-library.js');
+const ANSWER_PAD_FILE = path.join(REPO_ROOT, 'answer-pad.js');
+const FRAME_MS = 16;
+const BOOT_MS = 1000;
+const PLAY_MS = 3000;
+const AFTER_CLEANUP_MS = 2000;
+const STAGE_WIDTH = 720;
+const STAGE_HEIGHT = 480;
+const DRAW_METHODS = new Set([
+  'fill', 'stroke', 'fillRect', 'strokeRect', 'fillText', 'strokeText', 'drawImage', 'putImageData',
+]);
+const KEYS = [
+  ['ArrowRight', 'ArrowRight', 39], ['ArrowLeft', 'ArrowLeft', 37], ['ArrowUp', 'ArrowUp', 38],
+  ['ArrowDown', 'ArrowDown', 40], [' ', 'Space', 32], ['Enter', 'Enter', 13], ['1', 'Digit1', 49],
+  ['2', 'Digit2', 50], ['a', 'KeyA', 65], ['d', 'KeyD', 68], ['w', 'KeyW', 87], ['s', 'KeyS', 83],
+];
+const CLICK_POINTS = [[360, 240], [180, 360], [540, 360], [360, 420], [120, 120]];
+
+// Fake clock: every timer and animation frame in the context goes through this queue
+class FakeClock {
+  constructor() {
+    this.now = 0;
+    this.nextId = 1;
+    this.timers = new Map();
+    this.frames = new Map();
+    this.callbacksRun = 0;
+  }
+
+  setTimeout(fn, delay = 0, ...args) {
+    const id = this.nextId++;
+    this.timers.set(id, { fn, args, due: this.now + Math.max(0, Number(delay) || 0) });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  requestAnimationFrame(fn) {
+    const id = this.nextId++;
+    this.frames.set(id, fn);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    this.frames.delete(id);
+  }
+
+  pending() {
+    return this.timers.size + this.frames.size;
+  }
+
+  // Advance one frame: fire due timers in order, then the animation frame batch
+  tick(onError) {
+    this.now += FRAME_MS;
+    const due = Array.from(this.timers.entries())
+      .filter(([, t]) => t.due <= this.now)
+      .sort((a, b) => a[1].due - b[1].due);
+    due.forEach(([id, timer]) => {
+      if (!this.timers.delete(id)) return;
+      this.callbacksRun++;
+      try { if (typeof timer.fn === 'function') timer.fn(...timer.args); } catch (error) { onError(error); }
+    });
+    const frames = Array.from(this.frames.values());
+    this.frames.clear();
+    frames.forEach((fn) => {
+      this.callbacksRun++;
+      try { fn(this.now); } catch (error) { onError(error); }
+    });
+  }
+}
+
+function createRecorder() {
+  return { errors: [], drawCalls: 0, audioContexts: [] };
+}
+
+// Anything not explicitly stubbed becomes a callable no-op that returns another stub, so games
+// that poke at unusual APIs keep running instead of failing on the fake DOM itself.
+function looseStub(name, extra = {}) {
+  const target = function () {};
+  Object.assign(target, extra);
+  return new Proxy(target, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (prop === Symbol.toPrimitive) return () => 0;
+      if (prop === 'then') return undefined;
+      return looseStub(`${name}.${String(prop)}`);
+    },
+    set(obj, prop, value) { obj[prop] = value; return true; },
+    apply() { return looseStub(`${name}()`); },
+    construct() { return looseStub(`new ${name}`); },
+  });
+}
+
+function createCanvasContext(canvas, recorder, CanvasRenderingContext2D) {
+  const state = Object.assign(Object.create(CanvasRenderingContext2D.prototype), {
+    canvas,
+    fillStyle: '#000', strokeStyle: '#000', font: '10px sans-serif', lineWidth: 1, globalAlpha: 1,
+    textAlign: 'start', textBaseline: 'alphabetic', shadowBlur: 0, shadowColor: 'transparent',
+    measureText: (text) => ({ width: String(text).length * 8, actualBoundingBoxAscent: 10, actualBoundingBoxDescent: 3 }),
+    createLinearGradient: () => ({ addColorStop() {} }),
+    createRadialGradient: () => ({ addColorStop() {} }),
+    createConicGradient: () => ({ addColorStop() {} }),
+    createPattern: () => ({ setTransform() {} }),
+    getImageData: (x, y, w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(Math.min(w * h, 1 << 16) * 4) }),
+    createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(Math.min(w * h, 1 << 16) * 4) }),
+    isPointInPath: () => false,
+    isPointInStroke: () => false,
+    getLineDash: () => [],
+    getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+  });
+  // Methods games polyfill onto CanvasRenderingContext2D.prototype (roundRect, ...) resolve first
+  return new Proxy(state, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (typeof prop !== 'string') return undefined;
+      return (...args) => {
+        if (DRAW_METHODS.has(prop)) recorder.drawCalls++;
+        return undefined;
+      };
+    },
+    set(obj, prop, value) { obj[prop] = value; return true; },
+  });
+}
+
+function createAudioParam(value = 0) {
+  return {
+    value, defaultValue: value, minValue: -3.4e38, maxValue: 3.4e38,
+    setValueAtTime() { return this; }, linearRampToValueAtTime() { return this; },
+    exponentialRampToValueAtTime() { return this; }, setTargetAtTime() { return this; },
+    setValueCurveAtTime() { return this; }, cancelScheduledValues() { return this; },
+    cancelAndHoldAtTime() { return this; },
+  };
+}
+
+function createAudioNode(context) {
+  const node = {
+    context, numberOfInputs: 1, numberOfOutputs: 1, channelCount: 2,
+    connect(target) { return target; }, disconnect() {}, start() {}, stop() {},
+    addEventListener() {}, removeEventListener() {},
+    setPeriodicWave() {}, getFloatFrequencyData() {}, getByteFrequencyData() {}, getByteTimeDomainData() {},
+    getFloatTimeDomainData() {},
+    frequencyBinCount: 1024, fftSize: 2048, type: 'sine', buffer: null, loop: false, curve: null,
+  };
+  return new Proxy(node, {
+    get(obj, prop) {
+      if (prop in obj) return obj[prop];
+      if (typeof prop !== 'string' || prop === 'then') return undefined;
+      obj[prop] = createAudioParam(); // frequency, gain, Q, detune, delayTime, pan, ...
+      return obj[prop];
+    },
+  });
+}
+
+function createAudioContextClass(clock, recorder) {
+  return class FakeAudioContext {
+    constructor() {
+      this.state = 'running';
+      this.sampleRate = 44100;
+      this.destination = createAudioNode(this);
+      this.listener = createAudioNode(this);
+      this.onstatechange = null;
+      recorder.audioContexts.push(this);
+      const factory = () => createAudioNode(this);
+      ['createOscillator', 'createGain', 'createBiquadFilter', 'createBufferSource', 'createDelay',
+        'createDynamicsCompressor', 'createStereoPanner', 'createPanner', 'createConvolver', 'createAnalyser',
+        'createWaveShaper', 'createChannelMerger', 'createChannelSplitter', 'createMediaElementSource',
+        'createMediaStreamSource', 'createConstantSource', 'createIIRFilter', 'createScriptProcessor'].forEach((name) => {
+        this[name] = factory;
+      });
+    }
+
+    get currentTime() { return clock.now / 1000; }
+    createBuffer(channels, length, sampleRate) {
+      const data = Array.from({ length: channels }, () => new Float32Array(Math.min(length, 1 << 18)));
+      return { numberOfChannels: channels, length, sampleRate, duration: length / sampleRate, getChannelData: (i) => data[i] || data[0] };
+    }
+    createPeriodicWave() { return {}; }
+    decodeAudioData() { return Promise.reject(new Error('decodeAudioData is not available in the smoke test')); }
+    resume() { this.state = 'running'; return Promise.resolve(); }
+    suspend() { this.state = 'suspended'; return Promise.resolve(); }
+    close() { this.state = 'closed'; return Promise.resolve(); }
+    addEventListener() {}
+    removeEventListener() {}
+  };
+}
+
+class FakeEvent {
+  constructor(type, init = {}) {
+    Object.assign(this, init);
+    this.type = type;
+    this.bubbles = !!init.bubbles;
+    this.defaultPrevented = false;
+    this.target = null;
+    this.currentTarget = null;
+    this.timeStamp = 0;
+    this._stop = false;
+    this._stopImmediate = false;
+  }
+  preventDefault() { this.defaultPrevented = true; }
+  stopPropagation() { this._stop = true; }
+  stopImmediatePropagation() { this._stop = true; this._stopImmediate = true; }
+  composedPath() { return []; }
+}
+
+const MAX_DISPATCH_DEPTH = 64;
+let dispatchDepth = 0;
+
+class FakeEventTarget {
+  constructor(recorder) {
+    this._listeners = {};
+    this._recorder = recorder;
+  }
+  addEventListener(type, listener, options) {
+    if (!listener) return;
+    const capture = options === true || !!(options && options.capture);
+    const once = !!(options && options.once);
+    (this._listeners[type] = this._listeners[type] || []).push({ listener, capture, once });
+  }
+  removeEventListener(type, listener, options) {
+    const capture = options === true || !!(options && options.capture);
+    const list = this._listeners[type] || [];
+    this._listeners[type] = list.filter((l) => !(l.listener === listener && l.capture === capture));
+  }
+  _invoke(event, capturePhase) {
+    const list = (this._listeners[event.type] || []).slice();
+    for (const entry of list) {
+      if (capturePhase !== null && entry.capture !== capturePhase) continue;
+      if (entry.once) this.removeEventListener(event.type, entry.listener, entry.capture);
+      event.currentTarget = this;
+      try {
+        if (typeof entry.listener === 'function') entry.listener.call(this, event);
+        else if (entry.listener && typeof entry.listener.handleEvent === 'function') entry.listener.handleEvent(event);
+      } catch (error) {
+        this._recorder.errors.push(error);
+      }
+      if (event._stopImmediate) return;
+    }
+    const handler = this[`on${event.type}`];
+    if (capturePhase !== true && typeof handler === 'function') {
+      try { handler.call(this, event); } catch (error) { this._recorder.errors.push(error); }
+    }
+  }
+  dispatchEvent(event) {
+    // A browser would overflow the stack here; fail fast instead of burning the whole run on it
+    if (dispatchDepth >= MAX_DISPATCH_DEPTH) throw new RangeError(`Event dispatch nested more than ${MAX_DISPATCH_DEPTH} deep (${event.type})`);
+    dispatchDepth++;
+    try {
+      return this._dispatch(event);
+    } finally {
+      dispatchDepth--;
+    }
+  }
+  _dispatch(event) {
+    event.target = event.target || this;
+    const pathToRoot = [];
+    for (let node = this; node; node = node._eventParent ? node._eventParent() : null) pathToRoot.push(node);
+    for (let i = pathToRoot.length - 1; i > 0 && !event._stop; i--) pathToRoot[i]._invoke(event, true);
+    if (!event._stop) this._invoke(event, null);
+    if (event.bubbles) {
+      for (let i = 1; i < pathToRoot.length && !event._stop; i++) pathToRoot[i]._invoke(event, false);
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+function createDom(recorder, onScript) {
+  const window = new FakeEventTarget(recorder);
+  const CanvasRenderingContext2D = function CanvasRenderingContext2D() {};
+  const document = new FakeEventTarget(recorder);
+  document._eventParent = () => window;
+
+  class FakeElement extends FakeEventTarget {
+    constructor(tagName) {
+      super(recorder);
+      this.tagName = String(tagName).toUpperCase();
+      this.nodeName = this.tagName;
+      this.nodeType = 1;
+      this.children = [];
+      this.parentNode = null;
+      this.style = new Proxy({ setProperty() {}, removeProperty() {}, getPropertyValue: () => '' }, {
+        get: (obj, prop) => (prop in obj ? obj[prop] : ''),
+      });
+      this.dataset = {};
+      this.attributes = {};
+      this.id = '';
+      this.className = '';
+      this.tabIndex = -1;
+      this._text = '';
+      const classes = new Set();
+      this.classList = {
+        add: (...names) => names.forEach((n) => classes.add(n)),
+        remove: (...names) => names.forEach((n) => classes.delete(n)),
+        toggle: (n, force) => { const on = force === undefined ? !classes.has(n) : force; if (on) classes.add(n); else classes.delete(n); return on; },
+        contains: (n) => classes.has(n),
+      };
+      if (this.tagName === 'CANVAS') {
+        this.width = 300;
+        this.height = 150;
+      }
+    }
+    _eventParent() { return this.parentNode || null; }
+    get childNodes() { return this.children; }
+    get firstChild() { return this.children[0] || null; }
+    get lastChild() { return this.children[this.children.length - 1] || null; }
+    get firstElementChild() { return this.firstChild; }
+    get nextSibling() { return this.parentNode ? this.parentNode.children[this.parentNode.children.indexOf(this) + 1] || null : null; }
+    get isConnected() { let n = this; while (n.parentNode) n = n.parentNode; return n === document.documentElement; }
+    get innerHTML() { return ''; }
+    set innerHTML(html) { this.children.forEach((c) => { c.parentNode = null; }); this.children = []; this._text = String(html); }
+    get textContent() { return this._text + this.children.map((c) => c.textContent).join(''); }
+    set textContent(text) { this.innerHTML = ''; this._text = String(text); }
+    get innerText() { return this.textContent; }
+    set innerText(text) { this.textContent = text; }
+    get offsetWidth() { return this.tagName === 'CANVAS' ? this.width : STAGE_WIDTH; }
+    get offsetHeight() { return this.tagName === 'CANVAS' ? this.height : STAGE_HEIGHT; }
+    get clientWidth() { return this.offsetWidth; }
+    get clientHeight() { return this.offsetHeight; }
+    appendChild(child) {
+      if (child.parentNode) child.parentNode.removeChild(child);
+      if (child._fragment) { child.children.slice().forEach((c) => this.appendChild(c)); return child; }
+      child.parentNode = this;
+      this.children.push(child);
+      if (child.tagName === 'SCRIPT' && child.src) onScript(child);
+      return child;
+    }
+    append(...nodes) { nodes.forEach((n) => this.appendChild(typeof n === 'string' ? document.createTextNode(n) : n)); }
+    prepend(...nodes) { nodes.reverse().forEach((n) => this.insertBefore(typeof n === 'string' ? document.createTextNode(n) : n, this.firstChild)); }
+    insertBefore(child, ref) {
+      if (!ref) return this.appendChild(child);
+      if (child.parentNode) child.parentNode.removeChild(child);
+      child.parentNode = this;
+      this.children.splice(Math.max(0, this.children.indexOf(ref)), 0, child);
+      return child;
+    }
+    removeChild(child) {
+      this.children = this.children.filter((c) => c !== child);
+      child.parentNode = null;
+      return child;
+    }
+    replaceChild(next, old) { this.insertBefore(next, old); return this.removeChild(old); }
+    remove() { if (this.parentNode) this.parentNode.removeChild(this); }
+    contains(node) { for (let n = node; n; n = n.parentNode) if (n === this) return true; return false; }
+    setAttribute(name, value) { this.attributes[name] = String(value); if (name === 'id') this.id = String(value); if ((name === 'width' || name === 'height') && this.tagName === 'CANVAS') this[name] = Number(value); }
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; }
+    hasAttribute(name) { return name in this.attributes; }
+    removeAttribute(name) { delete this.attributes[name]; }
+    getBoundingClientRect() { const w = this.offsetWidth; const h = this.offsetHeight; return { left: 0, top: 0, x: 0, y: 0, width: w, height: h, right: w, bottom: h }; }
+    getClientRects() { return [this.getBoundingClientRect()]; }
+    focus() { document.activeElement = this; }
+    blur() { if (document.activeElement === this) document.activeElement = document.body; }
+    click() { this.dispatchEvent(new FakeEvent('click', { bubbles: true })); }
+    setPointerCapture() {}
+    releasePointerCapture() {}
+    requestPointerLock() {}
+    scrollIntoView() {}
+    animate() { return looseStub('animation'); }
+    cloneNode() { return new FakeElement(this.tagName); }
+    querySelector(selector) { return this.querySelectorAll(selector)[0] || null; }
+    querySelectorAll(selector) {
+      const found = [];
+      const match = (el) => {
+        if (selector.startsWith('#')) return el.id === selector.slice(1);
+        if (selector.startsWith('.')) return el.classList.contains(selector.slice(1));
+        return el.tagName === selector.toUpperCase();
+      };
+      const visit = (el) => el.children.forEach((c) => { if (c.tagName && match(c)) found.push(c); visit(c); });
+      visit(this);
+      return found;
+    }
+    getElementsByTagName(tag) { return this.querySelectorAll(tag); }
+    getContext(type) {
+      if (this.tagName !== 'CANVAS' || type !== '2d') return null;
+      this._context = this._context || createCanvasContext(this, recorder, CanvasRenderingContext2D);
+      return this._context;
+    }
+    toDataURL() { return 'data:image/png;base64,'; }
+    toBlob(cb) { cb(null); }
+    // Media elements
+    play() { return Promise.resolve(); }
+    pause() {}
+    load() {}
+    canPlayType() { return ''; }
+  }
+
+  const html = new FakeElement('html');
+  const head = new FakeElement('head');
+  const body = new FakeElement('body');
+  html.appendChild(head);
+  html.appendChild(body);
+  html._eventParent = () => document;
+  const stage = new FakeElement('div');
+  stage.id = 'game-of-the-day-stage';
+  body.appendChild(stage);
+
+  Object.assign(document, {
+    documentElement: html, head, body, activeElement: body, readyState: 'complete',
+    hidden: false, visibilityState: 'visible', title: 'Game of the Day', cookie: '',
+    fonts: { ready: Promise.resolve(), load: () => Promise.resolve([]), check: () => true, add() {} },
+    createElement: (tag) => new FakeElement(tag),
+    createElementNS: (_ns, tag) => new FakeElement(tag),
+    createTextNode: (text) => { const node = new FakeElement('#text'); node.nodeType = 3; node._text = String(text); return node; },
+    createDocumentFragment: () => { const frag = new FakeElement('#fragment'); frag._fragment = true; return frag; },
+    getElementById: (id) => html.querySelector(`#${id}`),
+    querySelector: (sel) => html.querySelector(sel),
+    querySelectorAll: (sel) => html.querySelectorAll(sel),
+    getElementsByTagName: (tag) => html.querySelectorAll(tag),
+    hasFocus: () => true,
+    exitPointerLock() {},
+  });
+
+  return { window, document, stage, FakeElement, CanvasRenderingContext2D };
+}
+
+function loadIndexDates() {
+  return JSON.parse(fs.readFileSync(path.join(GAMES_DIR, 'index.json'), 'utf8'));
+}
+
+function flushMicrotasks() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+function describeError(error) {
+  if (error && error.message) return `${error.name || 'Error'}: ${error.message}`;
+  return String(error);
+}
+
+async function smokeTestGame(gameName) {
+  const recorder = createRecorder();
+  const clock = new FakeClock();
+  let scriptLoaded = false;
+
+  const { window, document, stage, FakeElement, CanvasRenderingContext2D } = createDom(recorder, (scriptEl) => {
+    // The runtime appended games/<name>.js: run it, then fire load like a browser would
+    const relative = decodeURIComponent(scriptEl.src);
+    const file = path.join(REPO_ROOT, relative);
+    clock.setTimeout(() => {
+      let code;
+      try {
+        code = fs.readFileSync(file, 'utf8');
+      } catch (error) {
+        scriptEl.dispatchEvent(new FakeEvent('error'));
+        return;
+      }
+      try {
+        vm.runInContext(code, context, { filename: relative });
+      } catch (error) {
+        recorder.errors.push(error);
+        window.dispatchEvent(new FakeEvent('error', { error, message: error && error.message }));
+      }
+      scriptLoaded = true;
+      scriptEl.dispatchEvent(new FakeEvent('load'));
+    }, 0);
+  });
+
+  const AudioContextStub = createAudioContextClass(clock, recorder);
+  const storage = new Map();
+  const localStorageStub = {
+    getItem: (k) => (storage.has(k) ? storage.get(k) : null),
+    setItem: (k, v) => storage.set(k, String(v)),
+    removeItem: (k) => storage.delete(k),
+    clear: () => storage.clear(),
+    key: (i) => Array.from(storage.keys())[i] || null,
+    get length() { return storage.size; },
+  };
+  const errorAwareConsole = {
+    log() {}, info() {}, debug() {}, warn() {},
+    error(...args) {
+      // The runtime reports errors it catches from RAF callbacks and init() this way
+      const error = args.find((a) => a && typeof a === 'object' && typeof a.message === 'string' && a.stack);
+      if (error) recorder.errors.push(error);
+    },
+  };
+
+  Object.assign(window, {
+    document, console: errorAwareConsole,
+    location: { search: `?game=${encodeURIComponent(gameName)}`, href: `http://localhost/game-frame.html?game=${encodeURIComponent(gameName)}`, hostname: 'localhost', protocol: 'http:', reload() {} },
+    navigator: { userAgent: 'smoke-test', language: 'en-US', languages: ['en-US'], maxTouchPoints: 0, onLine: false, getGamepads: () => [], vibrate: () => false, clipboard: looseStub('clipboard') },
+    innerWidth: STAGE_WIDTH, innerHeight: STAGE_HEIGHT, devicePixelRatio: 1, screen: { width: STAGE_WIDTH, height: STAGE_HEIGHT },
+    performance: { now: () => clock.now, mark() {}, measure() {} },
+    setTimeout: (fn, delay, ...args) => clock.setTimeout(fn, delay, ...args),
+    clearTimeout: (id) => clock.clearTimeout(id),
+    setInterval: () => { throw new Error('setInterval should be provided by the runtime'); },
+    clearInterval: (id) => clock.clearTimeout(id),
+    requestAnimationFrame: (fn) => clock.requestAnimationFrame(fn),
+    cancelAnimationFrame: (id) => clock.cancelAnimationFrame(id),
+    queueMicrotask: (fn) => Promise.resolve().then(fn),
+    URLSearchParams, URL, TextEncoder, TextDecoder,
+    AudioContext: AudioContextStub, webkitAudioContext: AudioContextStub,
+    HTMLMediaElement: FakeElement, HTMLElement: FakeElement, HTMLCanvasElement: FakeElement, Element: FakeElement, Node: FakeElement,
+    CanvasGradient: function CanvasGradient() {}, CanvasRenderingContext2D,
+    Path2D: class Path2D { moveTo() {} lineTo() {} arc() {} arcTo() {} rect() {} roundRect() {} ellipse() {} quadraticCurveTo() {} bezierCurveTo() {} closePath() {} addPath() {} },
+    Audio: function Audio() { return document.createElement('audio'); },
+    Image: function Image() { return document.createElement('img'); },
+    Event: FakeEvent, CustomEvent: FakeEvent, KeyboardEvent: FakeEvent, MouseEvent: FakeEvent, PointerEvent: FakeEvent, TouchEvent: FakeEvent, FocusEvent: FakeEvent,
+    EventTarget: FakeEventTarget,
+    localStorage: localStorageStub, sessionStorage: localStorageStub,
+    matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {}, addListener() {}, removeListener() {} }),
+    getComputedStyle: (el) => el.style,
+    alert() {}, confirm: () => false, prompt: () => null,
+    speechSynthesis: { speak() {}, cancel() {}, pause() {}, resume() {}, getVoices: () => [], speaking: false, addEventListener() {} },
+    SpeechSynthesisUtterance: function SpeechSynthesisUtterance(text) { this.text = text; },
+    ResizeObserver: class { observe() {} unobserve() {} disconnect() {} },
+    IntersectionObserver: class { observe() {} unobserve() {} disconnect() {} },
+    MutationObserver: class { observe() {} disconnect() {} takeRecords() { return []; } },
+    fetch: () => Promise.reject(new Error('Network access is not allowed in games')),
+    XMLHttpRequest: function XMLHttpRequest() { throw new Error('Network access is not allowed in games'); },
+    scrollTo() {}, focus() {}, blur() {}, open: () => null, close() {},
+  });
+  window.HTMLMediaElement.prototype = FakeElement.prototype;
+  window.CanvasGradient.prototype.addColorStop = function () {};
+
+  const context = vm.createContext(window);
+  vm.runInContext(`
+    var window = globalThis, self = globalThis, top = globalThis, parent = globalThis, frames = globalThis;
+    Date.now = () => 1700000000000 + performance.now();
+  `, context);
+
+  const report = { game: gameName, passing: false, errors: [], draw_calls: 0, leaks: [] };
+
+  try {
+    // Same order as game-frame.html
+    vm.runInContext(fs.readFileSync(QUESTION_LIBRARY_FILE, 'utf8'), context, { filename: 'question-library.js' });
+    vm.runInContext(fs.readFileSync(ANSWER_PAD_FILE, 'utf8'), context, { filename: 'answer-pad.js' });
+    vm.runInContext(fs.readFileSync(RUNTIME_FILE, 'utf8'), context, { filename: 'game-runtime.js' });
+  } catch (error) {
+    report.errors.push(`Runtime failed to load: ${describeError(error)}`);
+    return report;
+  }
+
+  const run = async (ms, everyFrame) => {
+    for (let t = 0; t < ms; t += FRAME_MS) {
+      clock.tick((error) => recorder.errors.push(error));
+      if (everyFrame) everyFrame(t);
+      await flushMicrotasks();
+    }
+  };
+
+  await run(BOOT_MS);
+  if (!scriptLoaded) report.errors.push('Game script never loaded');
+
+  // Synthetic input: keys go to the focused element (bubbling to document and window), clicks to the canvas
+  const canvases = () => document.querySelectorAll('canvas');
+  let step = 0;
+  await run(PLAY_MS, (t) => {
+    if (t % (FRAME_MS * 8) !== 0) return;
+    const target = document.activeElement && document.activeElement !== document.body ? document.activeElement : (canvases()[0] || stage);
+    const [key, code, keyCode] = KEYS[step % KEYS.length];
+    ['keydown', 'keyup'].forEach((type) => target.dispatchEvent(new FakeEvent(type, { key, code, keyCode, which: keyCode, repeat: false, bubbles: true })));
+    const canvas = canvases()[0];
+    if (canvas) {
+      const [x, y] = CLICK_POINTS[step % CLICK_POINTS.length];
+      const pointer = { clientX: x, clientY: y, offsetX: x, offsetY: y, pageX: x, pageY: y, button: 0, buttons: 1, pointerId: 1, pointerType: 'mouse', isPrimary: true, bubbles: true };
+      ['pointerdown', 'mousedown', 'pointerup', 'mouseup', 'click'].forEach((type) => canvas.dispatchEvent(new FakeEvent(type, pointer)));
+    }
+    step++;
+  });
+
+  report.draw_calls = recorder.drawCalls;
+  report.audio_contexts = recorder.audioContexts.length;
+
+  // Teardown the way script.js does before removing the frame, then make sure nothing keeps running
+  try {
+    await window.__cleanupCurrentGame();
+  } catch (error) {
+    recorder.errors.push(error);
+  }
+  await flushMicrotasks();
+  const callbacksBefore = clock.callbacksRun;
+  const drawsBefore = recorder.drawCalls;
+  const pendingAfterCleanup = clock.pending();
+  await run(AFTER_CLEANUP_MS);
+  const callbacksAfter = clock.callbacksRun - callbacksBefore;
+  if (pendingAfterCleanup) report.leaks.push(`${pendingAfterCleanup} timer(s)/frame(s) still scheduled after cleanup`);
+  if (callbacksAfter) report.leaks.push(`${callbacksAfter} callback(s) ran after cleanup`);
+  if (recorder.drawCalls > drawsBefore) report.leaks.push(`${recorder.drawCalls - drawsBefore} draw call(s) after cleanup`);
+  const liveAudio = recorder.audioContexts.filter((ctx) => ctx.state === 'running').length;
+  if (liveAudio) report.leaks.push(`${liveAudio} AudioContext(s) still running after cleanup`);
+
+  report.errors = report.errors.concat(recorder.errors.slice(0, 5).map(describeError));
+  if (recorder.errors.length > 5) report.errors.push(`...and ${recorder.errors.length - 5} more`);
+  report.passing = !report.errors.length && report.draw_calls > 0 && !report.leaks.length;
+  if (!report.draw_calls) report.errors.push('Never drew to a canvas');
+  return report;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  let outFile = null;
+  const outIndex = args.indexOf('--out');
+  if (outIndex !== -1) {
+    outFile = args[outIndex + 1];
+    args.splice(outIndex, 2);
+  }
+  const names = args.length ? args : loadIndexDates().concat('latest');
+
+  const games = {};
+  for (const name of names) {
+    const result = await smokeTestGame(name);
+    games[name] = result;
+    const status = result.passing ? '✅' : '❌';
+    console.log(`${status} ${name}: ${result.draw_calls} draw calls${result.errors.length ? ` - ${result.errors[0]}` : ''}${result.leaks.length ? ` - ${result.leaks[0]}` : ''}`);
+  }
+
+  const results = Object.values(games);
+  const report = {
+    generated_timestamp: new Date().toISOString(),
+    summary: {
+      total: results.length,
+      passing: results.filter((r) => r.passing).length,
+      failing: results.filter((r) => !r.passing).length,
+    },
+    games,
+  };
+  console.log(`\n${report.summary.passing}/${report.summary.total} games passed the smoke test`);
+  if (outFile) fs.writeFileSync(outFile, JSON.stringify(report, null, 2) + '\n');
+  process.exit(report.summary.failing ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(2);
+  });
+}
+
+module.exports = { smokeTestGame };
@@ -1,121 +1,66 @@
 import os
+import re
 import json
 import glob
+import subprocess
+import tempfile
+
+VALIDATOR_SCRIPT = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'validate_game.js')
+# Same rule as DATE_NAME in build_manifest.py: "2025-08-08 copy.js" is a stray copy, not a game
+GAME_FILE_NAME = re.compile(r"^\d{4}-\d{2}-\d{2}\.js$")
+# Not dailies, so not scored here, but not strays either
+OTHER_GAME_FILES = {"latest.js", "endless-adventure.js", "tens-and-trails.js"}
 
 def validate_accessibility(game_code, game_name):
-    """Validate the generated game code for basic functionality and playability"""
-    functionality_issues = []
-    functionality_warnings = []
-    functionality_score = 0
-    max_score = 12  # Expanded scoring system
-    
+    """Validate the generated game code for basic functionality and playability.
+
+    Delegates to the AST-based Node validator (validate_game.js), which parses the game with a real
+    JavaScript parser and returns the same score/issues/warnings shape stored in meta.json.
+    """
     print(f"\n🔍 Validating basic functionality for {game_name}...")
-    
-    # 1. Game Initialization (2 points)
-    init_patterns = ['canvas', 'getContext', 'requestAnimationFrame', 'addEventListener']
-    init_found = any(pattern in game_code.lower() for pattern in init_patterns)
-    if init_found:
-        functionality_score += 2
-        print(f"✅ Game initialization detected")
-    else:
-        functionality_issues.append("No game initialization found")
-        print(f"❌ No game initialization found")
-    
-    # 2. User Input Handling (2 points)
-    input_patterns = ['keydown', 'keyup', 'keypress', 'click', 'mousedown', 'mouseup', 'touchstart']
-    input_found = any(pattern in game_code.lower() for pattern in input_patterns)
-    if input_found:
-        functionality_score += 2
-        print(f"✅ User input handling detected")
-    else:
-        functionality_issues.append("No user input handling found")
-        print(f"❌ No user input handling found")
-    
-    # 3. Game Loop/Animation (2 points)
-    loop_patterns = ['requestAnimationFrame', 'setInterval', 'setTimeout', 'update', 'draw']
-    loop_found = any(pattern in game_code.lower() for pattern in loop_patterns)
-    if loop_found:
-        functionality_score += 2
-        print(f"✅ Game loop/animation detected")
-    else:
-        functionality_issues.append("No game loop/animation found")
-        print(f"❌ No game loop/animation found")
-    
-    # 4. Win Condition (2 points) - NEW!
-    win_patterns = ['win', 'victory', 'won', 'complete', 'success', 'youwin', 'gamewon', 'levelcomplete']
-    win_screen_patterns = ['restart', 'play again', 'playagain', 'game over', 'gameover']
-    win_found = any(pattern in game_code.lower().replace(' ', '').replace('_', '') for pattern in win_patterns)
-    win_screen_found = any(pattern in game_code.lower() for pattern in win_screen_patterns)
-    
-    if win_found and win_screen_found:
-        functionality_score += 2
-        print(f"✅ Win condition and end screen detected")
-    elif win_found or win_screen_found:
-        functionality_score += 1
-        functionality_warnings.append("Partial win condition found - may need win/game over screen")
-        print(f"⚠️  Partial win condition detected")
-    else:
-        functionality_issues.append("No win condition found - game may be endless")
-        print(f"❌ No win condition found")
-    
-    # 5. Loss Condition (2 points) - NEW!
-    loss_patterns = ['lose', 'loss', 'lost', 'fail', 'gameover', 'game over', 'dead', 'lives', 'attempts']
-    loss_found = any(pattern in game_code.lower().replace(' ', '') for pattern in loss_patterns)
-    
-    if loss_found:
-        functionality_score += 2
-        print(f"✅ Loss condition detected")
-    else:
-        functionality_warnings.append("No clear loss condition - game may be too easy or endless")
-        print(f"⚠️  No loss condition detected")
-    
-    # 6. UI Text Spacing (1 point) - NEW!
-    ui_spacing_patterns = ['measureText', 'padding', 'margin', 'spacing']
-    ui_spacing_found = any(pattern in game_code.lower() for pattern in ui_spacing_patterns)
-    
-    # Check for potential UI overlaps (red flag patterns)
-    overlap_warning_patterns = [
-        'fillText.*fillText.*fillText',  # Multiple text draws in sequence without position changes
-        'ctx.fillText.*\n.*ctx.fillText.*\n.*ctx.fillText'  # Multiple text draws close together
-    ]
-    
-    if ui_spacing_found:
-        functionality_score += 1
-        print(f"✅ UI spacing considerations detected")
-    else:
-        functionality_warnings.append("No measureText() usage - text may overlap")
-        print(f"⚠️  No UI spacing detected")
-    
-    # 7. Error Handling (1 point)
-    error_patterns = ['try', 'catch', 'console.error', 'console.warn', 'if.*error']
-    error_handling = any(pattern in game_code.lower() for pattern in error_patterns)
-    if error_handling:
-        functionality_score += 1
-        print(f"✅ Error handling detected")
-    else:
-        functionality_warnings.append("No error handling found")
-        print(f"⚠️  No error handling detected")
-    
-    # Calculate percentage
-    functionality_percentage = (functionality_score / max_score) * 100
-    
-    print(f"🔍 Functionality Score: {functionality_score}/{max_score} ({functionality_percentage:.1f}%)")
-    
-    return {
-        'score': functionality_score,
-        'max_score': max_score,
-        'percentage': functionality_percentage,
-        'issues': functionality_issues,
-        'warnings': functionality_warnings,
-        'passing': functionality_percentage >= 60  # 60% threshold for basic functionality
-    }
+
+    with tempfile.NamedTemporaryFile('w', suffix='.js', delete=False, encoding='utf-8') as tmp:
+        tmp.write(game_code)
+        tmp_path = tmp.name
+    completed = None
+    try:
+        completed = subprocess.run(
+            ['node', VALIDATOR_SCRIPT, tmp_path],
+            capture_output=True, text=True, timeout=120
+        )
+        result = json.loads(completed.stdout)
+    except (OSError, subprocess.TimeoutExpired, json.JSONDecodeError) as e:
+        detail = completed.stderr.strip() if completed is not None and completed.stderr else str(e)
+        print(f"❌ Validator failed to run: {detail}")
+        return {
+            'score': 0,
+            'max_score': 12,
+            'percentage': 0,
+            'issues': [f'Validator failed to run: {detail}'],
+            'warnings': [],
+            'passing': False
+        }
+    finally:
+        os.remove(tmp_path)
+
+    for issue in result['issues']:
+        print(f"❌ {issue}")
+    for warning in result['warnings']:
+        print(f"⚠️  {warning}")
+    print(f"🔍 Functionality Score: {result['score']}/{result['max_score']} ({result['percentage']:.1f}%)")
+
+    return result
 
 def test_all_games():
     """Test basic functionality for all existing games"""
     print("🔍 Testing basic functionality for all games...")
     
-    # Get all game files
-    game_files = sorted(glob.glob("games/2025-*.js"))
+    # Get all game files; stray copies are listed so they get cleaned up, not scored
+    all_files = sorted(glob.glob("games/*.js"))
+    game_files = [f for f in all_files if GAME_FILE_NAME.match(os.path.basename(f))]
+    stray_files = [f for f in all_files if f not in game_files and os.path.basename(f) not in OTHER_GAME_FILES]
+    for stray_file in stray_files:
+        print(f"❌ {os.path.basename(stray_file)} is not a game file name (YYYY-MM-DD.js); move or delete it")
     
     if not game_files:
         print("No game files found!")
@@ -153,6 +98,7 @@ def test_all_games():
     print(f"Total games tested: {len(game_files)}")
     print(f"Games passing (≥60%): {passing_games}")
     print(f"Games failing: {len(game_files) - passing_games}")
+    print(f"Stray copies in games/: {len(stray_files)}")
     print(f"Average score: {total_score/len(game_files):.1f}%")
     
     # Show worst performers
@@ -179,7 +125,8 @@ def test_all_games():
         'passing_games': passing_games,
         'failing_games': len(game_files) - passing_games,
         'average_score': total_score/len(game_files) if game_files else 0,
-        'all_passing': passing_games == len(game_files)
+        'stray_files': [os.path.basename(f) for f in stray_files],
+        'all_passing': passing_games == len(game_files) and not stray_files
     }
 
 if __name__ == "__main__":
@@ -188,6 +135,8 @@ if __name__ == "__main__":
     # Exit with error code if any games are failing (for CI/CD)
     if not results['all_passing']:
         print(f"\n❌ {results['failing_games']} games are failing basic functionality tests!")
+        if results['stray_files']:
+            print(f"❌ {len(results['stray_files'])} stray copies need moving out of games/")
         exit(1)
     else:
         print(f"\n✅ All games pass basic functionality tests!")
@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+// AST-based functionality validator for generated games.
+//
+// Usage: node .github/scripts/validate_game.js games/2025-11-16.js [more.js ...]
+//
+// Parses each game with acorn and scores it out of 12, printing the same `functionality` object that
+// generate_game_with_assistant.py stores in games/*.meta.json ({ score, max_score, percentage,
+// passing, issues, warnings }), so scores stay comparable with older metadata. One file prints the
+// bare object; several files print an object keyed by file name. Exits 1 if any game is not passing.
+//
+// Files in games/ must be named like a daily (YYYY-MM-DD.js), latest.js or a Hall of Fame game; any
+// other name there fails with score 0.
+//
+// Requires acorn and acorn-walk (npm install --no-save acorn acorn-walk).
+
+const fs = require('fs');
+const path = require('path');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const STAGE_ID = 'game-of-the-day-stage';
+const GAME_WIDTH = 720;
+const GAME_HEIGHT = 480;
+const MAX_SCORE = 12;
+const PASSING_PERCENTAGE = 60;
+const ROOT = '<top-level>';
+// What may live in games/: the dailies, latest.js and the Hall of Fame games. Anything else there
+// ("2025-08-08 copy.js", "latest copy 7.js") is a stray copy and fails without being scored.
+const GAME_FILE_NAME = /^(\d{4}-\d{2}-\d{2}|latest|endless-adventure|tens-and-trails)\.js$/;
+
+const WIN_WORDS = new Set(['win', 'wins', 'won', 'winner', 'winning', 'victory', 'victorious']);
+const LOSS_WORDS = new Set(['lose', 'loses', 'lost', 'loss', 'fail', 'failed', 'failure', 'defeat', 'defeated', 'gameover']);
+const RESTART_WORDS = new Set(['restart', 'reset', 'replay', 'newgame', 'playagain', 'tryagain']);
+const WIN_TEXT = /\b(you win|you won|victory|winner|congratulations|well done|you did it|completed?)\b/i;
+const LOSS_TEXT = /\b(game over|you lost|you lose|out of lives|no lives left|defeat|try again)\b/i;
+const RESTART_TEXT = /\b(restart|play again|try again|press r)\b/i;
+const NETWORK_CALLEES = new Set(['fetch', 'importScripts', 'sendBeacon']);
+const NETWORK_CONSTRUCTORS = new Set(['XMLHttpRequest', 'WebSocket', 'EventSource']);
+// Namespace URIs are identifiers, not requests
+const ALLOWED_URL_PREFIXES = ['http://www.w3.org/'];
+
+// Split identifiers into lower-case words: "showGameOverScreen" -> show, game, over, screen.
+// Adjacent pairs are joined as well so "game_over" and "playAgain" match "gameover"/"playagain".
+function nameWords(name) {
+  const words = String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((w) => w.toLowerCase());
+  const pairs = words.slice(1).map((w, i) => words[i] + w);
+  return words.concat(pairs);
+}
+
+const nameMatches = (name, wordSet) => nameWords(name).some((w) => wordSet.has(w));
+
+function staticName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed) return node.property.name;
+  if (node.type === 'MemberExpression' && node.property.type === 'Literal') return String(node.property.value);
+  return null;
+}
+
+function stringValue(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral') return node.quasis.map((q) => q.value.cooked).join(' ');
+  return null;
+}
+
+function isFunctionNode(node) {
+  return node && (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+}
+
+function parseGame(code) {
+  const options = { ecmaVersion: 'latest', locations: true, allowHashBang: true, allowReturnOutsideFunction: true };
+  try {
+    return acorn.parse(code, { ...options, sourceType: 'script' });
+  } catch (scriptError) {
+    // Top-level await or import syntax only parses as a module
+    try {
+      return acorn.parse(code, { ...options, sourceType: 'module' });
+    } catch (_) {
+      throw scriptError;
+    }
+  }
+}
+
+// Name a function by how it is declared. Functions passed inline (callbacks, object literals handed
+// straight to a call such as GameOfTheDay.register, on* handlers) stay anonymous and so belong to
+// whatever code encloses them.
+function functionName(node, parent, grandparent) {
+  if (node.type === 'FunctionDeclaration' && node.id) return node.id.name;
+  if (!parent) return null;
+  if (parent.type === 'VariableDeclarator' && parent.init === node) return staticName(parent.id);
+  if (parent.type === 'AssignmentExpression' && parent.right === node) {
+    const name = staticName(parent.left);
+    return name && /^on[a-z]/.test(name) ? null : name;
+  }
+  if (parent.type === 'MethodDefinition') {
+    return parent.kind === 'constructor' && grandparent ? grandparent.__className || null : staticName(parent.key);
+  }
+  if (parent.type === 'Property' && parent.value === node) {
+    const objectParent = grandparent && grandparent.__parent;
+    if (objectParent && (objectParent.type === 'CallExpression' || objectParent.type === 'NewExpression')) return null;
+    return staticName(parent.key);
+  }
+  if (parent.type === 'PropertyDefinition' && parent.value === node) return staticName(parent.key);
+  return null;
+}
+
+class GameAnalysis {
+  constructor(ast) {
+    this.ast = ast;
+    this.numbers = new Map();
+    this.strings = new Map();
+    this.objects = new Map();
+    this.functionsByName = new Map();
+    this.references = new Map([[ROOT, new Set()]]);
+    this.ownerOf = new WeakMap();
+    this.collect();
+    this.reachable = this.computeReachable();
+  }
+
+  collect() {
+    // Link parents and class names first so function naming can look upwards
+    walk.fullAncestor(this.ast, (node, _state, ancestors) => {
+      node.__parent = ancestors[ancestors.length - 2] || null;
+      if ((node.type === 'ClassBody') && node.__parent && node.__parent.id) node.__className = node.__parent.id.name;
+    });
+
+    walk.fullAncestor(this.ast, (node, _state, ancestors) => {
+      // Nearest enclosing *named* function owns this node
+      let owner = ROOT;
+      for (let i = ancestors.length - 2; i >= 0; i--) {
+        const candidate = ancestors[i];
+        if (!isFunctionNode(candidate)) continue;
+        const name = functionName(candidate, ancestors[i - 1], ancestors[i - 2]);
+        if (name) {
+          owner = name;
+          break;
+        }
+      }
+      this.ownerOf.set(node, owner);
+
+      if (isFunctionNode(node)) {
+        const name = functionName(node, ancestors[ancestors.length - 2], ancestors[ancestors.length - 3]);
+        if (name) {
+          if (!this.functionsByName.has(name)) this.functionsByName.set(name, []);
+          this.functionsByName.get(name).push(node);
+          if (!this.references.has(name)) this.references.set(name, new Set());
+        }
+      }
+
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+        if (node.init.type === 'ObjectExpression') this.objects.set(node.id.name, node.init);
+        else if (typeof node.init.value === 'string') this.strings.set(node.id.name, node.init.value);
+        else this.numbers.set(node.id.name, node.init);
+      }
+
+      const parent = ancestors[ancestors.length - 2];
+      let referenced = null;
+      if (node.type === 'Identifier' && !this.isDeclarationId(node, parent)) referenced = node.name;
+      if (node.type === 'MemberExpression' && !node.computed) referenced = node.property.name;
+      if (referenced) {
+        if (!this.references.has(owner)) this.references.set(owner, new Set());
+        this.references.get(owner).add(referenced);
+      }
+    });
+  }
+
+  isDeclarationId(node, parent) {
+    if (!parent) return false;
+    if (isFunctionNode(parent) && parent.id === node) return true;
+    if (parent.type === 'VariableDeclarator' && parent.id === node) return true;
+    if (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return true;
+    if ((parent.type === 'Property' || parent.type === 'MethodDefinition') && parent.key === node && !parent.computed) return true;
+    return false;
+  }
+
+  computeReachable() {
+    const reachable = new Set([ROOT]);
+    const queue = [ROOT];
+    while (queue.length) {
+      const refs = this.references.get(queue.shift()) || new Set();
+      refs.forEach((name) => {
+        if (reachable.has(name) || !this.functionsByName.has(name)) return;
+        reachable.add(name);
+        queue.push(name);
+      });
+    }
+    return reachable;
+  }
+
+  isReachable(node) {
+    return this.reachable.has(this.ownerOf.get(node) || ROOT);
+  }
+
+  evalNumber(node, depth = 0) {
+    if (!node || depth > 8) return null;
+    if (node.type === 'Literal' && typeof node.value === 'number') return node.value;
+    if (node.type === 'Identifier' && this.numbers.has(node.name)) return this.evalNumber(this.numbers.get(node.name), depth + 1);
+    if (node.type === 'MemberExpression' && node.object.type === 'Identifier' && this.objects.has(node.object.name)) {
+      const key = staticName(node);
+      const prop = this.objects.get(node.object.name).properties.find((p) => p.key && staticName(p.key) === key);
+      return prop ? this.evalNumber(prop.value, depth + 1) : null;
+    }
+    if (node.type === 'BinaryExpression') {
+      const a = this.evalNumber(node.left, depth + 1);
+      const b = this.evalNumber(node.right, depth + 1);
+      if (a === null || b === null) return null;
+      switch (node.operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b ? a / b : null;
+        default: return null;
+      }
+    }
+    return null;
+  }
+
+  evalString(node) {
+    const value = stringValue(node);
+    if (value !== null) return value;
+    if (node && node.type === 'Identifier' && this.strings.has(node.name)) return this.strings.get(node.name);
+    return null;
+  }
+
+  nodes(type) {
+    const found = [];
+    walk.full(this.ast, (node) => {
+      if (node.type === type) found.push(node);
+    });
+    return found;
+  }
+}
+
+function checkStage(analysis) {
+  const lookups = analysis.nodes('CallExpression').filter((call) => {
+    const callee = staticName(call.callee);
+    const arg = analysis.evalString(call.arguments[0]);
+    if (arg === null) return false;
+    if (callee === 'getElementById') return arg === STAGE_ID;
+    if (callee === 'querySelector') return arg.trim() === `#${STAGE_ID}`;
+    return false;
+  });
+  const registers = analysis.nodes('CallExpression').filter((call) => staticName(call.callee) === 'register'
+    && call.callee.type === 'MemberExpression' && staticName(call.callee.object) === 'GameOfTheDay');
+  return { lookups, registers };
+}
+
+function checkCanvas(analysis) {
+  const created = analysis.nodes('CallExpression').some((call) => staticName(call.callee) === 'createElement'
+    && analysis.evalString(call.arguments[0]) === 'canvas');
+  const sizes = { width: new Set(), height: new Set() };
+  analysis.nodes('AssignmentExpression').forEach((assign) => {
+    const prop = assign.left.type === 'MemberExpression' ? staticName(assign.left) : null;
+    if (prop !== 'width' && prop !== 'height') return;
+    const value = analysis.evalNumber(assign.right);
+    if (value !== null) sizes[prop].add(value);
+  });
+  analysis.nodes('CallExpression').forEach((call) => {
+    if (staticName(call.callee) !== 'setAttribute') return;
+    const attr = analysis.evalString(call.arguments[0]);
+    if (attr !== 'width' && attr !== 'height') return;
+    const value = analysis.evalNumber(call.arguments[1]);
+    const text = analysis.evalString(call.arguments[1]);
+    if (value !== null) sizes[attr].add(value);
+    else if (text !== null) sizes[attr].add(Number(text));
+  });
+  return { created, sized: sizes.width.has(GAME_WIDTH) && sizes.height.has(GAME_HEIGHT) };
+}
+
+// Reachable code that moves the game into a state: assigning or calling something named after it,
+// or a string describing it (end-screen text, state names such as 'won' or 'gameover').
+function findStateSites(analysis, words, textPattern) {
+  const sites = [];
+  walk.full(analysis.ast, (node) => {
+    let hit = false;
+    if (node.type === 'AssignmentExpression') {
+      hit = nameMatches(staticName(node.left) || '', words);
+      const assigned = stringValue(node.right);
+      if (assigned !== null) hit = hit || nameMatches(assigned, words) || textPattern.test(assigned);
+    } else if (node.type === 'CallExpression') {
+      hit = nameMatches(staticName(node.callee) || '', words);
+    } else if (node.type === 'Literal' || node.type === 'TemplateLiteral') {
+      const text = stringValue(node);
+      if (text !== null) hit = textPattern.test(text) || (text.length < 20 && nameMatches(text, words));
+    }
+    if (hit && analysis.isReachable(node)) sites.push(node);
+  });
+  return sites;
+}
+
+function findRestart(analysis) {
+  for (const [name] of analysis.functionsByName) {
+    if (nameMatches(name, RESTART_WORDS) && analysis.reachable.has(name)) return true;
+  }
+  return findStateSites(analysis, RESTART_WORDS, RESTART_TEXT).length > 0;
+}
+
+function mentionsAudioContext(node, aliases) {
+  let found = false;
+  walk.full(node, (inner) => {
+    const name = staticName(inner);
+    if (name === 'AudioContext' || name === 'webkitAudioContext' || aliases.has(name)) found = true;
+  });
+  return found;
+}
+
+function checkAudio(analysis) {
+  // const AC = window.AudioContext || window.webkitAudioContext; ... new AC()
+  const aliases = new Set();
+  analysis.nodes('VariableDeclarator').forEach((decl) => {
+    if (decl.id.type === 'Identifier' && decl.init && decl.init.type !== 'NewExpression' && !isFunctionNode(decl.init)
+      && mentionsAudioContext(decl.init, aliases)) {
+      aliases.add(decl.id.name);
+    }
+  });
+  const contexts = analysis.nodes('NewExpression').filter((expr) => mentionsAudioContext(expr.callee, aliases));
+  const sources = analysis.nodes('CallExpression').filter((call) => ['createOscillator', 'createBufferSource'].includes(staticName(call.callee)));
+  return { contexts, sources };
+}
+
+function checkAriaLive(analysis) {
+  const setsAttribute = analysis.nodes('CallExpression').some((call) => {
+    if (staticName(call.callee) !== 'setAttribute') return false;
+    const attr = analysis.evalString(call.arguments[0]);
+    const value = analysis.evalString(call.arguments[1]);
+    return attr === 'aria-live' || (attr === 'role' && (value === 'status' || value === 'alert'));
+  });
+  const setsProperty = analysis.nodes('AssignmentExpression').some((assign) => staticName(assign.left) === 'ariaLive');
+  return setsAttribute || setsProperty;
+}
+
+function findNetworkCalls(analysis) {
+  const found = [];
+  const line = (node) => node.loc ? node.loc.start.line : '?';
+  analysis.nodes('CallExpression').forEach((call) => {
+    const name = staticName(call.callee);
+    if (NETWORK_CALLEES.has(name)) found.push(`${name}() on line ${line(call)}`);
+  });
+  analysis.nodes('NewExpression').forEach((expr) => {
+    const name = staticName(expr.callee);
+    if (NETWORK_CONSTRUCTORS.has(name)) found.push(`new ${name}() on line ${line(expr)}`);
+  });
+  analysis.nodes('ImportExpression').forEach((expr) => found.push(`import() on line ${line(expr)}`));
+  analysis.nodes('Literal').forEach((lit) => {
+    if (typeof lit.value !== 'string' || !/^(https?:)?\/\/[^\s]/i.test(lit.value)) return;
+    if (ALLOWED_URL_PREFIXES.some((prefix) => lit.value.startsWith(prefix))) return;
+    found.push(`URL "${lit.value.slice(0, 60)}" on line ${line(lit)}`);
+  });
+  return found;
+}
+
+function validateGame(code) {
+  const issues = [];
+  const warnings = [];
+  let score = 0;
+
+  let ast;
+  try {
+    ast = parseGame(code);
+  } catch (error) {
+    issues.push(`JavaScript does not parse: ${error.message}`);
+    return result(score, issues, warnings);
+  }
+  const analysis = new GameAnalysis(ast);
+
+  // 1. Renders into the stage (2 points)
+  const stage = checkStage(analysis);
+  if (stage.lookups.length || stage.registers.length) {
+    score += 2;
+  } else {
+    issues.push(`Does not render into #${STAGE_ID}`);
+  }
+
+  // 2. 720x480 canvas (2 points)
+  const canvas = checkCanvas(analysis);
+  if (canvas.created && canvas.sized) {
+    score += 2;
+  } else if (canvas.created) {
+    score += 1;
+    warnings.push(`Canvas is created but not sized ${GAME_WIDTH}x${GAME_HEIGHT}`);
+  } else {
+    issues.push('No canvas is created');
+  }
+
+  // 3. Reachable win state (2 points)
+  if (findStateSites(analysis, WIN_WORDS, WIN_TEXT).length) {
+    score += 2;
+  } else {
+    issues.push('No reachable win state - game may be endless');
+  }
+
+  // 4. Reachable loss state (2 points)
+  if (findStateSites(analysis, LOSS_WORDS, LOSS_TEXT).length) {
+    score += 2;
+  } else {
+    issues.push('No reachable loss state - game may be too easy or endless');
+  }
+
+  // 5. Restart path (1 point)
+  if (findRestart(analysis)) {
+    score += 1;
+  } else {
+    warnings.push('No restart path found from the end screens');
+  }
+
+  // 6. Web Audio (1 point)
+  const audio = checkAudio(analysis);
+  if (audio.contexts.length) {
+    score += 1;
+    if (!audio.sources.length) warnings.push('AudioContext is created but no oscillator or buffer source plays');
+  } else {
+    warnings.push('No Web Audio API usage found');
+  }
+
+  // 7. aria-live narration (1 point)
+  if (checkAriaLive(analysis)) {
+    score += 1;
+  } else {
+    warnings.push('No aria-live region for screen reader narration');
+  }
+
+  // 8. No network calls (1 point)
+  const network = findNetworkCalls(analysis);
+  if (network.length) {
+    network.slice(0, 5).forEach((call) => issues.push(`Network access found: ${call}`));
+  } else {
+    score += 1;
+  }
+
+  return result(score, issues, warnings);
+}
+
+// Files outside games/ (the generator's temporary copies) are not held to the archive's names
+function checkFileName(file) {
+  const name = path.basename(file);
+  if (path.basename(path.dirname(path.resolve(file))) !== 'games' || GAME_FILE_NAME.test(name)) return null;
+  return result(0, [`"${name}" is not a game file name (YYYY-MM-DD.js); stray copies belong outside games/`], []);
+}
+
+function result(score, issues, warnings) {
+  const percentage = (score / MAX_SCORE) * 100;
+  return {
+    score,
+    max_score: MAX_SCORE,
+    percentage,
+    passing: percentage >= PASSING_PERCENTAGE,
+    issues,
+    warnings,
+  };
+}
+
+module.exports = { validateGame, checkFileName };
+
+if (require.main === module) {
+  const files = process.argv.slice(2);
+  if (!files.length) {
+    console.error('Usage: node validate_game.js <game.js> [more.js ...]');
+    process.exit(2);
+  }
+  const results = {};
+  files.forEach((file) => {
+    results[path.basename(file)] = checkFileName(file) || validateGame(fs.readFileSync(file, 'utf8'));
+  });
+  const values = Object.values(results);
+  console.log(JSON.stringify(values.length === 1 ? values[0] : results, null, 2));
+  process.exit(values.every((r) => r.passing) ? 0 : 1);
+}
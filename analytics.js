@@ -0,0 +1,200 @@
+// Generation analytics: charts games/analytics.json (built from every games/*.meta.json by
+// .github/scripts/build_manifest.py) with the plain canvas charts in charts.js, so the page needs no
+// backend or libraries.
+
+// USD per 1M tokens. Update alongside MODEL_NAME in generate_game_with_assistant.py.
+const MODEL_PRICING = {
+    'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+    'gpt-5-mini': { input: 0.25, output: 2.00 },
+    'gpt-5': { input: 1.25, output: 10.00 }
+};
+const COST_CLAIM_USD = 0.10;
+const TOKEN_STEPS = ['generate', 'improve', 'format'];
+const STEP_COLORS = {
+    generate: '#6C63FF',
+    improve: '#00F5FF',
+    format: '#FFB300'
+};
+const MODEL_COLORS = ['#6C63FF', '#00F5FF', '#FFB300', '#FF6B6B', '#5CE0A0', '#C77DFF'];
+
+let dashboardGames = null;
+
+window.addEventListener('DOMContentLoaded', function () {
+    fetch('games/analytics.json')
+        .then(res => {
+            if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+            return res.json();
+        })
+        .then(data => {
+            dashboardGames = data.games.slice().sort((a, b) => a.date.localeCompare(b.date));
+            renderDashboard(dashboardGames);
+        })
+        .catch(error => {
+            console.error('Failed to load analytics:', error);
+            document.getElementById('analytics-summary').innerHTML =
+                '<div class="error-message">Failed to load games/analytics.json</div>';
+        });
+});
+
+// Charts are drawn at the canvas's CSS size, so redraw when the layout changes
+let resizeTimer = null;
+window.addEventListener('resize', function () {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => {
+        if (dashboardGames) renderDashboard(dashboardGames);
+    }, 150);
+});
+
+// Estimated cost of one game in USD. With the recorded input/output split each call is priced exactly.
+// Older games only stored total tokens per step, so the input share is estimated from the prompt length
+// (about 4 characters per token; the format step's input is the game itself) and the rest is output.
+const CHARS_PER_TOKEN = 4;
+
+function estimateCost(game) {
+    const pricing = MODEL_PRICING[game.model];
+    if (!pricing) return { usd: null, exact: false };
+    const price = (input, output) => (input * pricing.input + output * pricing.output) / 1e6;
+    if (game.token_usage && Object.keys(game.token_usage).length) {
+        const usd = Object.values(game.token_usage).reduce((sum, usage) =>
+            sum + price(usage.input_tokens || 0, usage.output_tokens || 0), 0);
+        return { usd, exact: true };
+    }
+    const inputChars = {
+        generate: game.prompt_chars || 0,
+        improve: game.improve_prompt_chars || 0,
+        format: game.game_size_bytes || 0
+    };
+    const usd = TOKEN_STEPS.reduce((sum, step) => {
+        const total = game.tokens[step] || 0;
+        const input = Math.min(total, Math.round(inputChars[step] / CHARS_PER_TOKEN));
+        return sum + price(input, total - input);
+    }, 0);
+    return { usd, exact: false };
+}
+
+function finalScore(game) {
+    return game.final_functionality || game.functionality;
+}
+
+function renderDashboard(games) {
+    const costs = games.map(estimateCost);
+    const priced = costs.filter(cost => cost.usd !== null);
+    const underClaim = priced.filter(cost => cost.usd < COST_CLAIM_USD).length;
+    const maxCost = Math.max(...priced.map(cost => cost.usd));
+    const averageCost = priced.reduce((sum, cost) => sum + cost.usd, 0) / priced.length;
+    const scored = games.filter(finalScore);
+    const passing = scored.filter(game => finalScore(game).passing).length;
+
+    document.getElementById('analytics-summary').innerHTML = `
+        <div class="stat ${underClaim === priced.length ? 'good' : 'bad'}">
+            <span class="stat-value">${underClaim}/${priced.length}</span>
+            <span class="stat-label">games cost under $${COST_CLAIM_USD.toFixed(2)}</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">$${averageCost.toFixed(3)}</span>
+            <span class="stat-label">average estimated cost</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">$${maxCost.toFixed(3)}</span>
+            <span class="stat-label">most expensive game</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">${Math.round(passing / scored.length * 100)}%</span>
+            <span class="stat-label">of ${scored.length} scored games passing</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">${games.length}</span>
+            <span class="stat-label">games with metadata (${games[0].date} to ${games[games.length - 1].date})</span>
+        </div>
+    `;
+    document.getElementById('cost-note').textContent =
+        `${priced.filter(cost => cost.exact).length} games are priced from recorded input/output tokens. ` +
+        `The rest only stored total tokens, so their input share is estimated from prompt length. ` +
+        `Prices: ${Object.entries(MODEL_PRICING).map(([model, rate]) => `${model} $${rate.input}/$${rate.output}`).join(', ')} per 1M input/output tokens.`;
+
+    const labels = games.map(game => game.date);
+
+    drawBarChart(document.getElementById('chart-tokens'), {
+        labels,
+        series: TOKEN_STEPS.map(step => ({
+            name: step,
+            color: STEP_COLORS[step],
+            values: games.map(game => game.tokens[step] || 0)
+        })),
+        stacked: true,
+        formatValue: value => `${Math.round(value / 1000)}k`
+    });
+
+    drawBarChart(document.getElementById('chart-cost'), {
+        labels,
+        series: [{ name: 'estimated cost', color: STEP_COLORS.format, values: costs.map(cost => cost.usd || 0) }],
+        threshold: { value: COST_CLAIM_USD, label: `$${COST_CLAIM_USD.toFixed(2)} claim` },
+        formatValue: value => `$${value.toFixed(2)}`
+    });
+
+    drawLineChart(document.getElementById('chart-size'), {
+        labels,
+        values: games.map(game => game.game_size_bytes),
+        formatValue: value => `${Math.round(value / 1024)} KB`
+    });
+
+    // Pass rate per month keeps the chart readable as the archive grows
+    const months = [...new Set(scored.map(game => game.date.slice(0, 7)))];
+    drawBarChart(document.getElementById('chart-pass-rate'), {
+        labels: months,
+        series: [{
+            name: 'pass rate',
+            color: CHART_COLORS.pass,
+            values: months.map(month => {
+                const inMonth = scored.filter(game => game.date.startsWith(month));
+                return inMonth.filter(game => finalScore(game).passing).length / inMonth.length * 100;
+            })
+        }],
+        maxValue: 100,
+        formatValue: value => `${Math.round(value)}%`,
+        showEveryLabel: true
+    });
+
+    const models = [...new Set(games.map(game => game.model || 'unknown'))];
+    drawBarChart(document.getElementById('chart-models'), {
+        labels,
+        series: models.map((model, index) => ({
+            name: model,
+            color: MODEL_COLORS[index % MODEL_COLORS.length],
+            values: games.map(game => ((game.model || 'unknown') === model ? 1 : 0))
+        })),
+        stacked: true,
+        maxValue: 1,
+        hideAxis: true
+    });
+
+    renderIssueTable(scored);
+}
+
+function renderIssueTable(games) {
+    const counts = new Map();
+    const count = (text, kind) => {
+        const key = `${kind}\u0000${text}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    };
+    games.forEach(game => {
+        finalScore(game).issues.forEach(issue => count(issue, 'Issue'));
+        finalScore(game).warnings.forEach(warning => count(warning, 'Warning'));
+    });
+    const rows = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    const max = rows.length ? rows[0][1] : 1;
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    document.getElementById('issue-table').innerHTML = rows.length
+        ? rows.map(([key, value]) => {
+            const [kind, text] = key.split('\u0000');
+            return `
+                <tr>
+                    <td class="issue-kind ${kind.toLowerCase()}">${kind}</td>
+                    <td>${escape(text)}</td>
+                    <td class="issue-count"><span class="issue-bar" style="width: ${value / max * 100}%"></span>${value}</td>
+                </tr>
+            `;
+        }).join('')
+        : '<tr><td colspan="3">No issues or warnings recorded.</td></tr>';
+}
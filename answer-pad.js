@@ -0,0 +1,385 @@
+// Answer pad: asks the player a question on a canvas laid over the game, instead of a blocking prompt().
+// Loaded into the game frame before game-runtime.js (games reach it as window.GameOfTheDay.answerPad)
+// and by stand-alone game pages. Numbers are typed on an on-screen pad or the keyboard; with choices the
+// player taps one or presses its number. The game keeps running underneath, but its keyboard input is
+// held back while the pad is open.
+//
+//   const { value, correct, cancelled } = await window.GameOfTheDay.answerPad.ask({
+//     question: '7 + 5 = ?', answer: 12, skill: 'addition',   // answer is optional
+//     choices: [11, 12, 13, 15],                               // optional: multiple choice instead of the pad
+//     correctText: 'The gate opens!', wrongText: 'Not quite!', // optional feedback wording
+//     reportQuestion: '7 + 5',                                 // optional: the question as reported, if not as shown
+//   });
+//
+// With an answer the pad checks it, shows a short correct/wrong animation and reports question_shown and
+// answer_submitted through GameOfTheDay.track when that exists. Escape or ✕ cancels (value null), and so
+// does asking while another question is still open.
+// Everything shown is also announced in a polite live region for screen readers.
+(() => {
+  const PANEL_COLOR = '#23234a';
+  const BUTTON_COLOR = '#3d3d7a';
+  const BUTTON_ACTIVE_COLOR = '#6C63FF';
+  const TEXT_COLOR = '#ffffff';
+  const CORRECT_COLOR = '#4CAF50';
+  const WRONG_COLOR = '#FF5252';
+  const FONT = "'Inter', system-ui, sans-serif";
+  const MAX_DIGITS = 6;
+  const FEEDBACK_MS = 1100;
+  const PRESS_MS = 120;
+  const PAD_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'back', '0', 'enter'];
+  const PAD_LABELS = { back: '⌫', enter: 'OK' };
+
+  let open = null; // the pad on screen, one at a time
+
+  function findContainer() {
+    const canvas = document.querySelector('canvas');
+    return document.getElementById('game-of-the-day-stage') || (canvas && canvas.parentElement) || document.body;
+  }
+
+  function isCorrect(answer, value) {
+    if (typeof answer === 'number') return String(value).trim() !== '' && Number(String(value).trim()) === answer;
+    return String(value).trim() === String(answer);
+  }
+
+  function track(type, data) {
+    const game = window.GameOfTheDay;
+    if (!game || typeof game.track !== 'function') return;
+    try { game.track(type, data); } catch (error) { console.error(error); }
+  }
+
+  function reducedMotion() {
+    const game = window.GameOfTheDay;
+    return !!(game && typeof game.getSettings === 'function' && game.getSettings().reducedMotion);
+  }
+
+  function roundRect(ctx, x, y, width, height, radius) {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+  }
+
+  function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    String(text).split('\n').forEach((paragraph) => {
+      let line = '';
+      paragraph.split(' ').forEach((word) => {
+        const next = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(next).width > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = next;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  // Panel and button rectangles in canvas pixels, for drawing and hit testing alike
+  function layout(pad) {
+    const { width, height } = pad.canvas;
+    const choiceMode = pad.choices.length > 0;
+    const panelWidth = choiceMode ? 440 : 320;
+    const panelHeight = choiceMode ? 180 + Math.ceil(pad.choices.length / 2) * 70 : 430;
+    const panel = {
+      x: Math.round((width - panelWidth) / 2),
+      y: Math.round((height - panelHeight) / 2),
+      width: panelWidth,
+      height: panelHeight,
+    };
+    const buttons = pad.cancellable
+      ? [{ id: 'cancel', label: '✕', x: panel.x + panel.width - 44, y: panel.y + 8, width: 36, height: 36 }]
+      : [];
+    if (choiceMode) {
+      pad.choices.forEach((choice, i) => {
+        buttons.push({
+          id: `choice-${i}`,
+          label: String(choice),
+          hint: String(i + 1),
+          x: panel.x + 20 + (i % 2) * 205,
+          y: panel.y + 130 + Math.floor(i / 2) * 70,
+          width: 195,
+          height: 58,
+        });
+      });
+    } else {
+      PAD_KEYS.forEach((key, i) => {
+        buttons.push({
+          id: key,
+          label: PAD_LABELS[key] || key,
+          x: panel.x + 20 + (i % 3) * 97,
+          y: panel.y + 170 + Math.floor(i / 3) * 63,
+          width: 87,
+          height: 55,
+        });
+      });
+    }
+    return { panel, buttons, field: { x: panel.x + 20, y: panel.y + 110, width: panel.width - 40, height: 48 } };
+  }
+
+  function draw(pad, now) {
+    const ctx = pad.canvas.getContext('2d');
+    const { panel, buttons, field } = layout(pad);
+    ctx.clearRect(0, 0, pad.canvas.width, pad.canvas.height);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(0, 0, pad.canvas.width, pad.canvas.height);
+
+    // Pop in on open, pop on a right answer, shake on a wrong one (none of it with reduced motion)
+    const feedback = pad.feedback;
+    const age = feedback ? now - feedback.at : now - pad.openedAt;
+    let scale = 1;
+    let offsetX = 0;
+    if (reducedMotion()) scale = 1;
+    else if (!feedback) scale = Math.min(1, 0.85 + age / 1000);
+    else if (feedback.correct) scale = 1 + 0.06 * Math.sin(Math.min(1, age / 300) * Math.PI);
+    else offsetX = Math.sin(age / 25) * 10 * Math.max(0, 1 - age / 400);
+
+    ctx.save();
+    ctx.translate(panel.x + panel.width / 2 + offsetX, panel.y + panel.height / 2);
+    ctx.scale(scale, scale);
+    ctx.translate(-(panel.x + panel.width / 2), -(panel.y + panel.height / 2));
+
+    roundRect(ctx, panel.x, panel.y, panel.width, panel.height, 18);
+    ctx.fillStyle = PANEL_COLOR;
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = feedback ? (feedback.correct ? CORRECT_COLOR : WRONG_COLOR) : BUTTON_ACTIVE_COLOR;
+    ctx.stroke();
+
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold 22px ${FONT}`;
+    const lines = wrapText(ctx, pad.question, panel.width - 90).slice(0, 3);
+    lines.forEach((line, i) => {
+      ctx.fillText(line, panel.x + panel.width / 2, panel.y + 58 + (i - (lines.length - 1) / 2) * 28);
+    });
+
+    if (feedback) {
+      ctx.font = `bold 26px ${FONT}`;
+      ctx.fillStyle = feedback.correct ? CORRECT_COLOR : WRONG_COLOR;
+      const message = wrapText(ctx, feedback.text, panel.width - 40).slice(0, pad.choices.length ? 1 : 2);
+      const top = pad.choices.length ? panel.y + panel.height - 28 : field.y + field.height + 70;
+      message.forEach((line, i) => ctx.fillText(line, panel.x + panel.width / 2, top + i * 32));
+    }
+
+    if (!pad.choices.length) {
+      roundRect(ctx, field.x, field.y, field.width, field.height, 10);
+      ctx.fillStyle = '#ffffff';
+      ctx.fill();
+      ctx.fillStyle = '#18182e';
+      ctx.font = `bold 30px ${FONT}`;
+      const caret = !feedback && Math.floor(now / 500) % 2 === 0 ? '|' : ' ';
+      ctx.fillText(`${pad.typed}${caret}`, field.x + field.width / 2, field.y + field.height / 2 + 1);
+    }
+
+    buttons.forEach((button) => {
+      // Feedback hides the number pad; choices stay so the picked one can be seen
+      if (feedback && (button.id === 'cancel' || !pad.choices.length)) return;
+      const pressed = pad.pressed && pad.pressed.id === button.id && now - pad.pressed.at < PRESS_MS;
+      const picked = feedback && button.id === `choice-${feedback.choiceIndex}`;
+      const highlighted = !feedback && button.id === `choice-${pad.highlight}`;
+      roundRect(ctx, button.x, button.y, button.width, button.height, 12);
+      ctx.fillStyle = picked ? (feedback.correct ? CORRECT_COLOR : WRONG_COLOR)
+        : pressed || highlighted ? BUTTON_ACTIVE_COLOR
+        : button.id === 'enter' ? '#2e7d32' : BUTTON_COLOR;
+      ctx.fill();
+      ctx.fillStyle = TEXT_COLOR;
+      ctx.font = `bold ${button.id === 'cancel' ? 20 : 26}px ${FONT}`;
+      ctx.fillText(button.label, button.x + button.width / 2, button.y + button.height / 2 + 1);
+      if (button.hint) {
+        ctx.font = `14px ${FONT}`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fillText(button.hint, button.x + 14, button.y + 14);
+      }
+    });
+    ctx.restore();
+  }
+
+  function announce(pad, message) {
+    // Cleared first so the same wording twice in a row is read again
+    pad.status.textContent = '';
+    window.setTimeout(() => { pad.status.textContent = message; }, 50);
+  }
+
+  function close(pad, result) {
+    if (open !== pad) return;
+    open = null;
+    window.removeEventListener('keydown', pad.onKeyDown, true);
+    window.cancelAnimationFrame(pad.frameId);
+    pad.canvas.remove();
+    pad.status.remove();
+    pad.resolve(result);
+  }
+
+  function submit(pad, value, choiceIndex) {
+    if (pad.feedback) return;
+    if (pad.answer === undefined) {
+      close(pad, { value, correct: null, cancelled: false });
+      return;
+    }
+    const correct = isCorrect(pad.answer, value);
+    track('answer_submitted', { question: pad.reportQuestion, answer: value, expected: pad.answer, correct, skill: pad.skill });
+    const text = correct ? pad.correctText : pad.wrongText;
+    pad.feedback = { correct, text, choiceIndex, at: performance.now() };
+    announce(pad, text);
+    // A game timer, so the feedback waits while the game is paused
+    window.setTimeout(() => close(pad, { value, correct, cancelled: false }), FEEDBACK_MS);
+  }
+
+  function press(pad, id) {
+    if (pad.feedback) return;
+    pad.pressed = { id, at: performance.now() };
+    if (id === 'cancel') {
+      if (pad.cancellable) close(pad, { value: null, correct: null, cancelled: true });
+    } else if (id.startsWith('choice-')) {
+      const index = Number(id.slice(7));
+      pad.highlight = index;
+      submit(pad, pad.choices[index], index);
+    } else if (id === 'back') {
+      pad.typed = pad.typed.slice(0, -1);
+    } else if (id === 'enter') {
+      if (pad.typed) submit(pad, pad.typed);
+      else announce(pad, 'Type a number first.');
+    } else if (pad.typed.length < MAX_DIGITS) {
+      pad.typed += id;
+    }
+  }
+
+  // True when the key meant something to the pad
+  function handleKey(pad, event) {
+    const key = event.key;
+    const count = pad.choices.length;
+    if (key === 'Escape') {
+      press(pad, 'cancel');
+    } else if (count) {
+      const index = Number(key) - 1;
+      if (Number.isInteger(index) && index >= 0 && index < count) press(pad, `choice-${index}`);
+      else if (key === 'ArrowRight' || key === 'ArrowDown') pad.highlight = (pad.highlight + 1) % count;
+      else if (key === 'ArrowLeft' || key === 'ArrowUp') pad.highlight = (pad.highlight + count - 1) % count;
+      else if (key === 'Enter' || key === ' ') press(pad, `choice-${pad.highlight}`);
+      else return false;
+    } else if (/^[0-9]$/.test(key)) {
+      press(pad, key);
+    } else if (key === 'Backspace' || key === 'Delete') {
+      press(pad, 'back');
+    } else if (key === 'Enter') {
+      press(pad, 'enter');
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  function ask(options) {
+    if (!options || options.question === undefined || options.question === null) {
+      return Promise.reject(new TypeError('answerPad.ask expects an object with a question'));
+    }
+    // Asking again while a question is up (a second click, say) is a no-op rather than an error
+    if (open) return Promise.resolve({ value: null, correct: null, cancelled: true });
+
+    return new Promise((resolve) => {
+      const container = options.container || findContainer();
+      const gameCanvas = container.querySelector('canvas');
+      const canvas = document.createElement('canvas');
+      canvas.width = (gameCanvas && gameCanvas.width) || container.clientWidth || 720;
+      canvas.height = (gameCanvas && gameCanvas.height) || container.clientHeight || 480;
+      canvas.setAttribute('aria-hidden', 'true');
+      canvas.style.cssText = 'position:absolute; left:0; top:0; width:100%; height:100%; z-index:1000; touch-action:none; cursor:pointer;';
+      const status = document.createElement('div');
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+      status.style.cssText = 'position:absolute; width:1px; height:1px; overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap;';
+      if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+
+      const pad = {
+        canvas,
+        status,
+        resolve,
+        question: String(options.question),
+        reportQuestion: String(options.reportQuestion === undefined ? options.question : options.reportQuestion),
+        answer: options.answer === null ? undefined : options.answer,
+        choices: Array.isArray(options.choices) ? options.choices.slice(0, 6) : [],
+        skill: options.skill,
+        correctText: options.correctText || 'Correct!',
+        wrongText: options.wrongText || 'Not quite!',
+        cancellable: options.cancellable !== false,
+        typed: '',
+        highlight: 0,
+        pressed: null,
+        feedback: null,
+        openedAt: performance.now(),
+        frameId: null,
+      };
+      open = pad;
+
+      // Capture phase on window, so the game's own key listeners never see what the pad handles
+      pad.onKeyDown = (event) => {
+        event.stopImmediatePropagation();
+        if (handleKey(pad, event)) event.preventDefault();
+      };
+      window.addEventListener('keydown', pad.onKeyDown, true);
+
+      canvas.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const rect = canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+        const y = (event.clientY - rect.top) * (canvas.height / rect.height);
+        const hit = layout(pad).buttons.find((button) =>
+          x >= button.x && x <= button.x + button.width && y >= button.y && y <= button.y + button.height);
+        if (hit) press(pad, hit.id);
+      });
+      // Keep clicks on the pad from reaching listeners the game put on the page
+      ['click', 'mousedown', 'mouseup', 'pointerup', 'touchstart', 'touchend'].forEach((type) => {
+        canvas.addEventListener(type, (event) => event.stopPropagation());
+      });
+
+      container.appendChild(canvas);
+      container.appendChild(status);
+
+      const render = (now) => {
+        if (open !== pad) return;
+        draw(pad, now);
+        pad.frameId = window.requestAnimationFrame(render);
+      };
+      render(performance.now());
+
+      if (pad.answer !== undefined) {
+        track('question_shown', { question: pad.reportQuestion, expected: pad.answer, skill: pad.skill });
+      }
+      const howTo = pad.choices.length
+        ? `Choices: ${pad.choices.map((choice, i) => `${i + 1}, ${choice}`).join('; ')}. Press a number to answer.`
+        : 'Type your answer and press Enter.';
+      announce(pad, `${pad.question} ${howTo}`);
+    });
+  }
+
+  const SCAN_LABELS = { cancel: 'Close', back: 'Delete', enter: 'OK' };
+
+  // Buttons for switch scanning (game-runtime.js), in stage pixels
+  function getScanTargets() {
+    const pad = open;
+    if (!pad || pad.feedback) return [];
+    const scale = pad.canvas.getBoundingClientRect().width / pad.canvas.width || 1;
+    return layout(pad).buttons.map((button) => ({
+      label: SCAN_LABELS[button.id] || button.label,
+      x: button.x * scale,
+      y: button.y * scale,
+      width: button.width * scale,
+      height: button.height * scale,
+      select: () => press(pad, button.id),
+    }));
+  }
+
+  window.GameOfTheDayAnswerPad = {
+    ask,
+    isOpen: () => open !== null,
+    getScanTargets,
+  };
+})();
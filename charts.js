@@ -0,0 +1,125 @@
+// Small canvas chart helpers shared by analytics.html and report.html, so neither page needs a library.
+const CHART_COLORS = {
+    pass: '#5CE0A0',
+    fail: '#FF8A8A',
+    line: '#00F5FF',
+    grid: 'rgba(184, 184, 212, 0.15)',
+    text: '#B8B8D4'
+};
+
+// Canvases are sized from their CSS box so charts stay sharp on high-DPI screens.
+function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    ctx.font = '11px Inter, sans-serif';
+    return { ctx, width, height, plot: { left: 56, right: width - 12, top: 12, bottom: height - 36 } };
+}
+
+function drawAxes(ctx, plot, maxValue, formatValue, labels, showEveryLabel) {
+    ctx.strokeStyle = CHART_COLORS.grid;
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let i = 0; i <= 4; i++) {
+        const y = plot.bottom - (plot.bottom - plot.top) * i / 4;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y);
+        ctx.lineTo(plot.right, y);
+        ctx.stroke();
+        ctx.fillText(formatValue(maxValue * i / 4), plot.left - 6, y);
+    }
+    // Date labels: first, last and evenly spaced ones in between
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    const step = showEveryLabel ? 1 : Math.max(1, Math.ceil(labels.length / 8));
+    const slot = (plot.right - plot.left) / labels.length;
+    labels.forEach((label, index) => {
+        if (index % step !== 0 && index !== labels.length - 1) return;
+        ctx.fillText(label, plot.left + slot * (index + 0.5), plot.bottom + 8);
+    });
+}
+
+function drawLegend(canvas, series) {
+    const legend = canvas.parentElement.querySelector('.chart-legend');
+    if (!legend || series.length < 2) return;
+    legend.innerHTML = series
+        .map(item => `<span><i style="background: ${item.color}"></i>${item.name}</span>`)
+        .join('');
+}
+
+function drawBarChart(canvas, options) {
+    const { ctx, plot } = prepareCanvas(canvas);
+    const { labels, series } = options;
+    const totals = labels.map((_, index) => options.stacked
+        ? series.reduce((sum, item) => sum + item.values[index], 0)
+        : Math.max(...series.map(item => item.values[index])));
+    const maxValue = options.maxValue || Math.max(...totals, options.threshold ? options.threshold.value : 0) * 1.1 || 1;
+    const scale = value => (plot.bottom - plot.top) * value / maxValue;
+
+    if (options.hideAxis) {
+        drawAxes(ctx, plot, maxValue, () => '', labels, options.showEveryLabel);
+    } else {
+        drawAxes(ctx, plot, maxValue, options.formatValue, labels, options.showEveryLabel);
+    }
+
+    const slot = (plot.right - plot.left) / labels.length;
+    const barWidth = Math.max(1, slot * 0.8);
+    labels.forEach((_, index) => {
+        let base = plot.bottom;
+        series.forEach(item => {
+            const height = scale(item.values[index]);
+            ctx.fillStyle = item.color;
+            ctx.fillRect(plot.left + slot * index + (slot - barWidth) / 2, base - height, barWidth, height);
+            if (options.stacked) base -= height;
+        });
+    });
+
+    if (options.threshold) {
+        const y = plot.bottom - scale(options.threshold.value);
+        ctx.strokeStyle = CHART_COLORS.fail;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y);
+        ctx.lineTo(plot.right, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = CHART_COLORS.fail;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(options.threshold.label, plot.right, y - 2);
+    }
+    drawLegend(canvas, series);
+}
+
+function drawLineChart(canvas, options) {
+    const { ctx, plot } = prepareCanvas(canvas);
+    const points = options.values.map((value, index) => ({ value, index })).filter(point => typeof point.value === 'number');
+    const maxValue = options.maxValue || Math.max(...points.map(point => point.value)) * 1.1 || 1;
+    drawAxes(ctx, plot, maxValue, options.formatValue, options.labels, options.showEveryLabel);
+
+    const slot = (plot.right - plot.left) / options.labels.length;
+    ctx.strokeStyle = CHART_COLORS.line;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    points.forEach((point, i) => {
+        const x = plot.left + slot * (point.index + 0.5);
+        const y = plot.bottom - (plot.bottom - plot.top) * point.value / maxValue;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    // Dots make single days visible when there is little data
+    if (points.length < 40) {
+        ctx.fillStyle = CHART_COLORS.line;
+        points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(plot.left + slot * (point.index + 0.5), plot.bottom - (plot.bottom - plot.top) * point.value / maxValue, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
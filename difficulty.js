@@ -0,0 +1,88 @@
+// Adaptive difficulty shared by every game. Each skill has a level per player profile (profiles.js) that
+// moves up or down with the child's recent accuracy on that skill, read from the learning events
+// (learning-events.js) so answers from earlier days count too. Games ask for the settings of a level
+// through GameOfTheDay.getDifficulty(skill) in game-runtime.js:
+//
+//   { skill, level, maxLevel, operandRange: [min, max], operations: { '+': 0.5, '-': 0.5 },
+//     factorRange: [min, max], timeLimitSec, lives, targetScore, recentAccuracy }
+//
+// operations is the share of questions per operation, factorRange the operand range for multiplication,
+// and timeLimitSec null when questions are untimed.
+const DIFFICULTY_LEVELS = [
+    { operandRange: [1, 5], operations: { '+': 1 }, factorRange: [1, 2], timeLimitSec: null, lives: 5, targetScore: 5 },
+    { operandRange: [2, 11], operations: { '+': 0.5, '-': 0.5 }, factorRange: [2, 3], timeLimitSec: null, lives: 4, targetScore: 8 },
+    { operandRange: [5, 20], operations: { '+': 0.45, '-': 0.45, '×': 0.1 }, factorRange: [2, 5], timeLimitSec: 30, lives: 3, targetScore: 10 },
+    { operandRange: [10, 50], operations: { '+': 0.35, '-': 0.35, '×': 0.3 }, factorRange: [2, 10], timeLimitSec: 25, lives: 3, targetScore: 10 },
+    { operandRange: [20, 99], operations: { '+': 0.3, '-': 0.3, '×': 0.4 }, factorRange: [3, 12], timeLimitSec: 20, lives: 3, targetScore: 12 },
+];
+// Where a skill's numbers mean something else, e.g. place value targets need both tens and ones
+const SKILL_OPERAND_RANGES = {
+    'place value': [[11, 19], [11, 39], [14, 59], [20, 79], [20, 99]],
+};
+// A skill that is practised through others: 'arithmetic' games mix the operations
+const DIFFICULTY_SKILL_GROUPS = {
+    arithmetic: ['addition', 'subtraction', 'multiplication', 'division'],
+};
+const DEFAULT_DIFFICULTY_LEVEL = 2;
+const DIFFICULTY_MIN_ANSWERS = 8;    // answers since the last change before the level moves again
+const DIFFICULTY_WINDOW = 20;        // most recent answers that count
+const DIFFICULTY_LEVEL_UP = 0.85;
+const DIFFICULTY_LEVEL_DOWN = 0.6;
+
+function loadDifficulty() {
+    const saved = readProfileData('difficulty', null);
+    return saved && saved.skills ? saved : { skills: {} };
+}
+
+// Level for a skill, after moving it if the answers since the last change call for it
+function updateDifficultyLevel(skill) {
+    const state = loadDifficulty();
+    const entry = state.skills[skill] || { level: DEFAULT_DIFFICULTY_LEVEL, changedAt: null };
+    const skills = DIFFICULTY_SKILL_GROUPS[skill] || [skill];
+    const recent = loadLearningEvents()
+        .filter(event => event.type === 'answer_submitted' && skills.includes(event.skill))
+        .filter(event => !entry.changedAt || event.time > entry.changedAt)
+        .slice(-DIFFICULTY_WINDOW);
+    const recentAccuracy = recent.length ? recent.filter(event => event.correct).length / recent.length : null;
+
+    if (recent.length >= DIFFICULTY_MIN_ANSWERS) {
+        const step = recentAccuracy >= DIFFICULTY_LEVEL_UP ? 1 : recentAccuracy < DIFFICULTY_LEVEL_DOWN ? -1 : 0;
+        const level = Math.min(DIFFICULTY_LEVELS.length, Math.max(1, entry.level + step));
+        if (level !== entry.level) {
+            entry.level = level;
+            entry.changedAt = new Date().toISOString();
+            state.skills[skill] = entry;
+            writeProfileData('difficulty', state);
+        }
+    }
+    return { level: entry.level, recentAccuracy };
+}
+
+function getDifficulty(skill) {
+    const name = String(skill || 'arithmetic').toLowerCase();
+    const { level, recentAccuracy } = updateDifficultyLevel(name);
+    const settings = DIFFICULTY_LEVELS[level - 1];
+    const ranges = SKILL_OPERAND_RANGES[name];
+    return {
+        skill: name,
+        level,
+        maxLevel: DIFFICULTY_LEVELS.length,
+        operandRange: (ranges ? ranges[level - 1] : settings.operandRange).slice(),
+        operations: Object.assign({}, settings.operations),
+        factorRange: settings.factorRange.slice(),
+        timeLimitSec: settings.timeLimitSec,
+        lives: settings.lives,
+        targetScore: settings.targetScore,
+        recentAccuracy,
+    };
+}
+
+// Current level of every skill that has moved from the default, for the report page
+function getDifficultyLevels(profileId) {
+    const saved = readProfileData('difficulty', null, profileId);
+    const levels = {};
+    Object.entries((saved && saved.skills) || {}).forEach(([skill, entry]) => {
+        levels[skill] = entry.level;
+    });
+    return levels;
+}
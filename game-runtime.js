@@ -0,0 +1,1388 @@
+// Game runtime: runs inside the sandboxed game frame (game-frame.html), one fresh document per game.
+// The host page (script.js) creates the frame with ?game=<name> and removes it on switch, so anything
+// a game leaves behind (listeners, timers, RAF loops, globals) is torn down with the frame.
+
+// Prevent the frame from scrolling when using arrow keys in games
+document.addEventListener('keydown', function (e) {
+    if (["Space", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"].includes(e.code)) {
+        e.preventDefault();
+    }
+});
+
+// Audio management: track every AudioContext and media element so the host can silence them
+// immediately, before the frame is actually detached. Every context also gets a small mixer in front
+// of its real destination, so the player's volumes and the host mute hold for games with no volume of
+// their own:
+//
+//   game nodes -> ctx.destination (effects bus) --\
+//   window.GameOfTheDay.getMusicDestination(ctx) --> master gain -> real destination
+//
+// The master gain follows the master volume and mute, and dips while the host reads aloud.
+(() => {
+  try {
+    const originalAudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!originalAudioContext) return; // Nothing to patch on very old browsers
+
+    const DUCKED_LEVEL = 0.3;
+    const RAMP_SECONDS = 0.08; // time constant of volume changes, so they do not click
+    const mix = { master: 1, sound: 1, music: 1, muted: false, ducked: false };
+    const mixers = new Map(); // context -> { master, effects, music } gain nodes
+    const requestedVolume = new WeakMap(); // what a game set on a media element, before our volume
+    const disabledContexts = new WeakSet();
+    const heldContexts = new Set(); // suspended by a lifecycle pause, resumed by the runtime only
+    const nativeResume = new WeakMap();
+    const activeContexts = new Set();
+    const activeMediaEls = new Set();
+    const heldMediaEls = new Set();
+    const HME = window.HTMLMediaElement && window.HTMLMediaElement.prototype;
+    const originalMediaPause = HME && HME.pause;
+
+    window.__cleanupAllGameAudio = async function cleanupAllGameAudio() {
+      try {
+        const ops = [];
+        activeContexts.forEach((ctx) => {
+          try {
+            // Mark as disabled first so any future resume() calls no-op
+            disabledContexts.add(ctx);
+            ops.push(Promise.resolve().then(() => ctx.suspend()).catch(() => {}));
+          } catch (_) {}
+        });
+        await Promise.allSettled(ops);
+        activeMediaEls.forEach((el) => {
+          try {
+            el.pause();
+            el.currentTime = 0;
+          } catch (_) {}
+        });
+      } catch (_) {}
+    };
+
+    // Lifecycle pause: hold running contexts and media so games cannot resume them behind our back
+    window.__pauseAllGameAudio = function pauseAllGameAudio() {
+      activeContexts.forEach((ctx) => {
+        try {
+          if (ctx.state !== 'running') return;
+          heldContexts.add(ctx);
+          Promise.resolve().then(() => ctx.suspend()).catch(() => {});
+        } catch (_) {}
+      });
+      activeMediaEls.forEach((el) => {
+        try {
+          if (el.paused) return;
+          heldMediaEls.add(el);
+          originalMediaPause.call(el);
+        } catch (_) {}
+      });
+    };
+
+    window.__resumeAllGameAudio = function resumeAllGameAudio() {
+      heldContexts.forEach((ctx) => {
+        try {
+          const resume = nativeResume.get(ctx);
+          if (resume && !disabledContexts.has(ctx)) resume().catch(() => {});
+        } catch (_) {}
+      });
+      heldContexts.clear();
+      heldMediaEls.forEach((el) => {
+        try { el.play().catch(() => {}); } catch (_) {}
+      });
+      heldMediaEls.clear();
+    };
+
+    const masterLevel = () => (mix.muted ? 0 : mix.master * (mix.ducked ? DUCKED_LEVEL : 1));
+
+    function setGain(ctx, node, value) {
+      try {
+        node.gain.setTargetAtTime(value, ctx.currentTime, RAMP_SECONDS);
+      } catch (_) {
+        node.gain.value = value;
+      }
+    }
+
+    // Looping media is taken to be music; Web Audio the game did not route to music counts as effects
+    const volumeDescriptor = HME && Object.getOwnPropertyDescriptor(HME, 'volume');
+    function applyMediaVolume(el) {
+      if (!volumeDescriptor) return;
+      const requested = requestedVolume.has(el) ? requestedVolume.get(el) : volumeDescriptor.get.call(el);
+      requestedVolume.set(el, requested);
+      volumeDescriptor.set.call(el, requested * (el.loop ? mix.music : mix.sound) * masterLevel());
+    }
+
+    // Called by the settings in this frame (master, sound, music, muted) and by the host (ducked)
+    window.__setGameVolume = function setGameVolume(levels) {
+      ['master', 'sound', 'music'].forEach((name) => {
+        if (Number.isFinite(levels[name])) mix[name] = Math.min(1, Math.max(0, levels[name]));
+      });
+      ['muted', 'ducked'].forEach((name) => {
+        if (typeof levels[name] === 'boolean') mix[name] = levels[name];
+      });
+      mixers.forEach((mixer, ctx) => {
+        try {
+          setGain(ctx, mixer.master, masterLevel());
+          setGain(ctx, mixer.effects, mix.sound);
+          setGain(ctx, mixer.music, mix.music);
+        } catch (_) {}
+      });
+      activeMediaEls.forEach((el) => {
+        try { applyMediaVolume(el); } catch (_) {}
+      });
+    };
+
+    window.__getMusicDestination = function getMusicDestination(ctx) {
+      const mixer = mixers.get(ctx);
+      return mixer ? mixer.music : ctx.destination;
+    };
+
+    // Wrapper constructor that registers each created context
+    function PatchedAudioContext(...args) {
+      const ctx = new originalAudioContext(...args);
+      activeContexts.add(ctx);
+      try {
+        const mixer = { master: ctx.createGain(), effects: ctx.createGain(), music: ctx.createGain() };
+        mixer.master.gain.value = masterLevel();
+        mixer.effects.gain.value = mix.sound;
+        mixer.music.gain.value = mix.music;
+        mixer.master.connect(ctx.destination);
+        mixer.effects.connect(mixer.master);
+        mixer.music.connect(mixer.master);
+        mixers.set(ctx, mixer);
+        Object.defineProperty(ctx, 'destination', { get: () => mixer.effects, configurable: true });
+      } catch (_) {}
+      try {
+        const originalResume = ctx.resume && ctx.resume.bind(ctx);
+        if (originalResume) {
+          nativeResume.set(ctx, originalResume);
+          ctx.resume = function() {
+            if (disabledContexts.has(ctx) || heldContexts.has(ctx)) return Promise.resolve();
+            return originalResume();
+          };
+        }
+      } catch (_) {}
+      try {
+        const originalClose = ctx.close && ctx.close.bind(ctx);
+        if (originalClose) {
+          ctx.close = function() {
+            disabledContexts.add(ctx);
+            activeContexts.delete(ctx);
+            mixers.delete(ctx);
+            return originalClose();
+          };
+        }
+      } catch (_) {}
+      return ctx;
+    }
+
+    if (window.AudioContext) {
+      window.AudioContext = PatchedAudioContext;
+    }
+    if (window.webkitAudioContext) {
+      window.webkitAudioContext = PatchedAudioContext;
+    }
+
+    try {
+      if (HME) {
+        const originalPlay = HME.play;
+        if (originalPlay) {
+          HME.play = function() {
+            try {
+              activeMediaEls.add(this);
+              applyMediaVolume(this);
+            } catch (_) {}
+            return originalPlay.apply(this, arguments);
+          };
+        }
+        if (volumeDescriptor) {
+          Object.defineProperty(HME, 'volume', {
+            configurable: true,
+            enumerable: volumeDescriptor.enumerable,
+            get() {
+              return requestedVolume.has(this) ? requestedVolume.get(this) : volumeDescriptor.get.call(this);
+            },
+            set(value) {
+              // Out-of-range values throw like the native setter would
+              volumeDescriptor.set.call(this, value);
+              requestedVolume.set(this, Number(value));
+              applyMediaVolume(this);
+            },
+          });
+        }
+        if (originalMediaPause) {
+          HME.pause = function() {
+            try { activeMediaEls.delete(this); } catch (_) {}
+            return originalMediaPause.apply(this, arguments);
+          };
+        }
+      }
+    } catch (_) {}
+  } catch (_) {
+    // Best-effort only
+  }
+})();
+
+// Defensive canvas patch: clamp gradient color stops to [0,1] to avoid IndexSizeError
+(() => {
+  try {
+    const CG = window.CanvasGradient && window.CanvasGradient.prototype;
+    if (CG && typeof CG.addColorStop === 'function') {
+      const originalAddColorStop = CG.addColorStop;
+      CG.addColorStop = function(offset, color) {
+        let o = Number(offset);
+        if (!Number.isFinite(o)) o = 0;
+        if (o < 0) o = 0;
+        if (o > 1) o = 1;
+        return originalAddColorStop.call(this, o, color);
+      };
+    }
+  } catch (_) { /* noop */ }
+})();
+
+// Lifecycle contract. A game opts in by calling, at top level:
+//
+//   window.GameOfTheDay.register({
+//     init(stage, options) {},  // required: render into stage; options = { width, height, game }
+//     pause() {}, resume() {},  // optional: freeze/unfreeze gameplay
+//     destroy() {},             // optional: release anything the game owns; may be async (the host waits 0.5s)
+//     getState() {},            // optional: plain object describing progress (score, status, ...)
+//   });
+//
+// Games that never register (the whole archive before this contract) start running as soon as their
+// script executes. For them, and for any hook a registered game leaves out, the runtime falls back to
+// a shim: it owns the clock, the RAF queue and every timer, so pausing holds all of them (plus audio
+// and input) and resuming carries on exactly where the game stopped.
+//
+// The same shim records and replays sessions (replay.js on the host). A game is recorded from the
+// moment its frame loads: Math.random is seeded, and the clock only moves when the game is handed a
+// tick (an animation frame, a timer or an input event), each of which is logged with its time. Playing
+// the log back hands the game the same ticks in the same order at the same clock readings, so it does
+// exactly what it did before. Host answers a game asks for (difficulty, settings) are replayed too.
+// Switch scanning is off in both modes, as its timers would shift the game's. Audio callbacks and
+// image loads are not ticks, so games whose play depends on them can drift.
+(() => {
+  const STAGE_WIDTH = 720;
+  const STAGE_HEIGHT = 480;
+  const INPUT_EVENTS = [
+    'keydown', 'keyup', 'keypress', 'mousedown', 'mouseup', 'mousemove', 'click', 'dblclick',
+    'pointerdown', 'pointerup', 'pointermove', 'touchstart', 'touchmove', 'touchend', 'wheel', 'contextmenu',
+  ];
+
+  const originalSetTimeout = window.setTimeout.bind(window);
+  const originalClearTimeout = window.clearTimeout.bind(window);
+  const originalRAF = window.requestAnimationFrame.bind(window);
+  const originalCancelRAF = window.cancelAnimationFrame.bind(window);
+  const nativeNow = performance.now.bind(performance);
+  const nativeDateNow = Date.now;
+
+  const REPLAY_FORMAT = 'gotd-replay';
+  const REPLAY_VERSION = 1;
+  const REPLAY_EVENT_FIELDS = [
+    'key', 'code', 'keyCode', 'repeat', 'clientX', 'clientY', 'button', 'buttons', 'pointerId', 'pointerType',
+    'isPrimary', 'deltaX', 'deltaY', 'deltaMode', 'shiftKey', 'ctrlKey', 'altKey', 'metaKey',
+  ];
+
+  let status = 'loading'; // loading -> running <-> paused -> destroyed
+  let registeredGame = null;
+  let gameName = '';
+
+  // A recording or playback the host asked for when it created this frame, or null to just play
+  const replaySession = (() => {
+    try {
+      const host = window.parent !== window && window.parent.GameOfTheDayHost;
+      const session = host && host.replay && host.replay.takeSession();
+      return session ? JSON.parse(JSON.stringify(session)) : null;
+    } catch (error) {
+      console.error(error);
+      return null;
+    }
+  })();
+  const replayMode = replaySession ? replaySession.mode : null; // null, 'record' or 'play'
+  const recording = replayMode === 'record' ? {
+    seed: Math.floor(Math.random() * 2 ** 32),
+    epoch: nativeDateNow(),
+    start: Math.round(nativeNow()),
+    values: {},
+    ticks: [],
+  } : null;
+  const replay = replayMode === 'play' ? replaySession.replay : recording;
+
+  // Game clock: stands still while paused so frame deltas and countdowns do not jump on resume
+  let pausedAt = null;
+  let pausedTotal = 0;
+  const liveNow = () => (pausedAt !== null ? pausedAt : nativeNow()) - pausedTotal;
+  // While recording or replaying, the clock only moves when the game is handed a tick
+  let stepTime = replay ? replay.start : null;
+  const gameNow = () => (stepTime !== null ? stepTime : liveNow());
+  performance.now = gameNow;
+  Date.now = () => nativeDateNow() - (nativeNow() - gameNow());
+  if (replay) {
+    const NativeDate = Date;
+    const replayDateNow = () => replay.epoch + Math.round(gameNow() - replay.start);
+    window.Date = class extends NativeDate {
+      constructor(...args) {
+        if (args.length) super(...args);
+        else super(replayDateNow());
+      }
+
+      static now() {
+        return replayDateNow();
+      }
+    };
+    if (window.GameOfTheDayQuestions) Math.random = window.GameOfTheDayQuestions.createRandom(replay.seed);
+  }
+
+  // While recording, every tick moves the clock to now (never backwards) and is logged as the time since
+  // the one before: a number for a frame, [dt, timerId] for a timer, [dt, type, target, data] for input
+  const round = (value) => Math.round(value * 100) / 100;
+  let insideTick = false;
+
+  function recordTick(entry) {
+    const time = Math.max(stepTime, round(liveNow()));
+    const dt = round(time - stepTime);
+    stepTime = time;
+    if (recording && recording.ticks) recording.ticks.push(entry === null ? dt : [dt].concat(entry));
+    return time;
+  }
+
+  const shimFrozen = () => pausedAt !== null || status === 'destroyed';
+
+  // requestAnimationFrame: one native frame drives every queued callback
+  const frameCallbacks = new Map();
+  let nextFrameId = 1;
+  let nativeFrameId = null;
+
+  function runFrames(gameTimestamp) {
+    const due = Array.from(frameCallbacks.values());
+    frameCallbacks.clear();
+    insideTick = true;
+    due.forEach((callback) => {
+      try { callback(gameTimestamp); } catch (error) { console.error(error); }
+    });
+    insideTick = false;
+  }
+
+  function flushFrames(timestamp) {
+    nativeFrameId = null;
+    if (shimFrozen()) return;
+    runFrames(replayMode === 'record' ? recordTick(null) : timestamp - pausedTotal);
+  }
+
+  function scheduleFrames() {
+    // A replay hands out frames itself
+    if (replayMode === 'play') return;
+    if (nativeFrameId === null && frameCallbacks.size && !shimFrozen()) {
+      nativeFrameId = originalRAF(flushFrames);
+    }
+  }
+
+  window.requestAnimationFrame = function(callback) {
+    const id = nextFrameId++;
+    if (typeof callback === 'function' && status !== 'destroyed') {
+      frameCallbacks.set(id, callback);
+      scheduleFrames();
+    }
+    return id;
+  };
+
+  window.cancelAnimationFrame = function(id) {
+    frameCallbacks.delete(id);
+  };
+
+  // setTimeout/setInterval: our own ids so a timer can be re-armed with its remaining time after a pause
+  const timers = new Map();
+  let nextTimerId = 1;
+
+  function armTimer(id, timer, delay) {
+    timer.due = gameNow() + delay;
+    if (replayMode === 'play') return; // fired by the replay, in the recorded order
+    timer.nativeId = originalSetTimeout(() => fireTimer(id), delay);
+  }
+
+  function fireTimer(id) {
+    const timer = timers.get(id);
+    if (!timer) return;
+    if (replayMode === 'record') recordTick(id);
+    if (timer.repeat) armTimer(id, timer, timer.delay);
+    else timers.delete(id);
+    // String handlers would need eval, which the frame's CSP forbids
+    if (typeof timer.handler !== 'function') return;
+    insideTick = true;
+    try {
+      timer.handler.apply(window, timer.args);
+    } finally {
+      insideTick = false;
+    }
+  }
+
+  function addTimer(handler, delay, args, repeat) {
+    const id = nextTimerId++;
+    if (status === 'destroyed') return id;
+    const timer = { handler, args, repeat, delay: Math.max(0, Number(delay) || 0), due: 0, nativeId: null };
+    timers.set(id, timer);
+    if (shimFrozen()) timer.remaining = timer.delay;
+    else armTimer(id, timer, timer.delay);
+    return id;
+  }
+
+  function removeTimer(id) {
+    const timer = timers.get(id);
+    if (!timer) return;
+    originalClearTimeout(timer.nativeId);
+    timers.delete(id);
+  }
+
+  window.setTimeout = (handler, delay, ...args) => addTimer(handler, delay, args, false);
+  window.setInterval = (handler, delay, ...args) => addTimer(handler, delay, args, true);
+  window.clearTimeout = removeTimer;
+  window.clearInterval = removeTimer;
+
+  // Input is swallowed before any game listener sees it while the shim is frozen
+  INPUT_EVENTS.forEach((type) => {
+    window.addEventListener(type, (event) => {
+      if (shimFrozen()) event.stopImmediatePropagation();
+    }, true);
+  });
+
+  // Replay input: elements are found again by their position in the document, which the game rebuilds
+  // the same way on playback
+  function eventPath(target) {
+    if (target === window) return 'w';
+    const path = [];
+    for (let node = target; node && node !== document.documentElement; node = node.parentNode) {
+      if (!node.parentNode || node.nodeType !== 1) return 'd';
+      path.unshift(Array.prototype.indexOf.call(node.parentNode.children, node));
+    }
+    return path;
+  }
+
+  function resolvePath(path) {
+    if (path === 'w') return window;
+    if (path === 'd') return document;
+    if (!Array.isArray(path)) return null;
+    return path.reduce((node, index) => node && node.children[index], document.documentElement) || null;
+  }
+
+  const touchList = (touches) => Array.from(touches || [], (touch) => [touch.identifier, touch.clientX, touch.clientY]);
+
+  function describeEvent(event) {
+    const data = {};
+    REPLAY_EVENT_FIELDS.forEach((field) => {
+      const value = event[field];
+      if (value !== undefined && value !== '' && value !== false && value !== 0) data[field] = value;
+    });
+    if (event.changedTouches) {
+      data.touches = touchList(event.touches);
+      data.changedTouches = touchList(event.changedTouches);
+    }
+    return data;
+  }
+
+  let replayDispatching = false;
+
+  function dispatchReplayEvent(type, target, data) {
+    const init = Object.assign({ bubbles: true, cancelable: true, composed: true, view: window }, data);
+    let event;
+    if (type.startsWith('key')) {
+      event = new KeyboardEvent(type, init);
+    } else if (type.startsWith('pointer')) {
+      event = new PointerEvent(type, init);
+    } else if (type === 'wheel') {
+      event = new WheelEvent(type, init);
+    } else if (type.startsWith('touch')) {
+      const touches = (list) => (list || []).map(([identifier, clientX, clientY]) => new Touch({ identifier, target, clientX, clientY }));
+      init.touches = touches(data.touches);
+      init.targetTouches = init.touches;
+      init.changedTouches = touches(data.changedTouches);
+      event = new TouchEvent(type, init);
+    } else {
+      event = new MouseEvent(type, init);
+    }
+    // keyCode and which cannot be set through the constructor
+    if (data.keyCode) {
+      ['keyCode', 'which'].forEach((name) => Object.defineProperty(event, name, { get: () => data.keyCode }));
+    }
+    replayDispatching = true;
+    try {
+      target.dispatchEvent(event);
+    } finally {
+      replayDispatching = false;
+    }
+  }
+
+  // Runs after the freeze above, so a paused game records nothing. Events a game sends itself from
+  // inside a tick (or from a handler of the event being recorded) are not recorded, as the game sends
+  // them again on playback.
+  let recordedEvent = null;
+  const insideEvent = () => recordedEvent !== null && recordedEvent.eventPhase !== Event.NONE;
+  INPUT_EVENTS.forEach((type) => {
+    window.addEventListener(type, (event) => {
+      if (replayMode === 'play') {
+        // The player's own input would change what happens
+        if (!replayDispatching) event.stopImmediatePropagation();
+        return;
+      }
+      if (replayMode !== 'record' || (!event.isTrusted && (insideTick || insideEvent()))) return;
+      recordTick([type, eventPath(event.target), describeEvent(event)]);
+      recordedEvent = event;
+    }, true);
+  });
+
+  // Playback: the recorded ticks are handed out as the real clock catches up with them, one task each
+  // so promises settle between ticks as they did while recording
+  let replayIndex = 0;
+  let replayClock = 0; // ms of the recording played so far
+  let replayDrivenAt = null;
+  let replayMismatches = 0;
+  let replayDraining = false;
+  const replayChannel = replayMode === 'play' ? new MessageChannel() : null;
+
+  // Replay files come from anywhere: a tick of no known shape is skipped as a mismatch
+  function tickDelay(entry) {
+    const dt = typeof entry === 'number' ? entry : Array.isArray(entry) ? entry[0] : NaN;
+    return Number.isFinite(dt) && dt >= 0 ? dt : null;
+  }
+
+  function playTick(entry) {
+    const dt = tickDelay(entry);
+    if (dt === null) {
+      replayMismatches++;
+      return;
+    }
+    const tick = typeof entry === 'number' ? [entry] : entry;
+    stepTime = round(stepTime + dt);
+    if (tick.length === 1) {
+      if (!frameCallbacks.size) replayMismatches++;
+      runFrames(stepTime);
+    } else if (tick.length === 2) {
+      if (!timers.has(tick[1])) replayMismatches++;
+      fireTimer(tick[1]);
+    } else {
+      const target = INPUT_EVENTS.includes(tick[1]) ? resolvePath(tick[2]) : null;
+      if (!target) {
+        replayMismatches++;
+        return;
+      }
+      try { dispatchReplayEvent(tick[1], target, Object(tick[3])); } catch (error) {
+        replayMismatches++;
+        console.error(error);
+      }
+    }
+  }
+
+  function playDueTicks() {
+    replayDraining = false;
+    if (shimFrozen()) return;
+    const entry = replay.ticks[replayIndex];
+    if (entry === undefined) return;
+    if (stepTime + (tickDelay(entry) || 0) - replay.start > replayClock) return;
+    replayIndex++;
+    playTick(entry);
+    replayDraining = true;
+    replayChannel.port2.postMessage(null);
+  }
+
+  function finishReplay() {
+    try {
+      const host = window.parent !== window && window.parent.GameOfTheDayHost;
+      if (host && host.replay) host.replay.finished({ ticks: replay.ticks.length, mismatches: replayMismatches });
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function driveReplay() {
+    if (status === 'destroyed') return;
+    const now = nativeNow();
+    if (!shimFrozen() && replayDrivenAt !== null) replayClock += now - replayDrivenAt;
+    replayDrivenAt = now;
+    if (replayIndex >= replay.ticks.length) {
+      finishReplay();
+      return;
+    }
+    if (!replayDraining) {
+      replayDraining = true;
+      replayChannel.port2.postMessage(null);
+    }
+    originalRAF(driveReplay);
+  }
+
+  if (replayChannel) {
+    replayChannel.port1.onmessage = playDueTicks;
+    originalRAF(driveReplay);
+  }
+
+  // Host answers the game asked for, recorded in order and handed back in the same order on playback
+  function replayValue(kind, compute) {
+    if (replayMode === 'record') {
+      const value = compute();
+      (recording.values[kind] = recording.values[kind] || []).push(value === undefined ? null : value);
+      return value;
+    }
+    if (replayMode === 'play') {
+      const recorded = replay.values && replay.values[kind];
+      if (Array.isArray(recorded) && recorded.length) return JSON.parse(JSON.stringify(recorded.shift()));
+      replayMismatches++;
+    }
+    return compute();
+  }
+
+  window.__gameReplay = {
+    mode: replayMode,
+    value: replayValue,
+    // Ends a recording and returns it as the replay file's contents; the game carries on unrecorded
+    stop() {
+      if (!recording || !recording.ticks) return null;
+      const saved = {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        game: gameName,
+        recordedAt: new Date(recording.epoch).toISOString(),
+        durationMs: Math.round(stepTime - recording.start),
+        seed: recording.seed,
+        epoch: recording.epoch,
+        start: recording.start,
+        values: recording.values,
+        ticks: recording.ticks,
+      };
+      recording.ticks = null;
+      return saved;
+    },
+    progress() {
+      return { index: replayIndex, total: replay ? (replay.ticks || []).length : 0, mismatches: replayMismatches };
+    },
+  };
+
+  function freezeShim() {
+    timers.forEach((timer) => {
+      originalClearTimeout(timer.nativeId);
+      timer.remaining = Math.max(0, timer.due - gameNow());
+    });
+    pausedAt = nativeNow();
+  }
+
+  function thawShim() {
+    pausedTotal += nativeNow() - pausedAt;
+    pausedAt = null;
+    timers.forEach((timer, id) => armTimer(id, timer, timer.remaining));
+    scheduleFrames();
+  }
+
+  const hasHook = (name) => registeredGame && typeof registeredGame[name] === 'function';
+  // While recording or replaying the shim does the holding, so nothing the game does while paused
+  // ends up in (or is missing from) the log
+  const gamePauses = () => hasHook('pause') && hasHook('resume') && !replayMode;
+
+  window.GameOfTheDay = {
+    version: 1,
+    // Math question library (question-library.js, loaded just before this file)
+    questions: window.GameOfTheDayQuestions || null,
+    // In-canvas answer pad to use instead of prompt() (answer-pad.js, also loaded before this file)
+    answerPad: window.GameOfTheDayAnswerPad || null,
+    register(game) {
+      if (!game || typeof game.init !== 'function') {
+        throw new TypeError('GameOfTheDay.register expects an object with an init(stage, options) method');
+      }
+      if (registeredGame) throw new Error('A game is already registered in this frame');
+      registeredGame = game;
+      if (status === 'running') initRegisteredGame();
+    },
+  };
+
+  function initRegisteredGame() {
+    const stage = document.getElementById('game-of-the-day-stage');
+    registeredGame.init(stage, { width: STAGE_WIDTH, height: STAGE_HEIGHT, game: gameName });
+  }
+
+  // Host-facing controls; script.js reaches these through the frame's contentWindow
+  window.__gameLifecycle = {
+    // Called by the loader once the game script has executed
+    start(name) {
+      if (status !== 'loading') return;
+      gameName = name;
+      status = 'running';
+      if (registeredGame) initRegisteredGame();
+    },
+    pause() {
+      if (status !== 'running') return false;
+      status = 'paused';
+      if (gamePauses()) registeredGame.pause();
+      else freezeShim();
+      // Held for registered games too, so nothing plays behind the host's pause screen
+      try { window.__pauseAllGameAudio && window.__pauseAllGameAudio(); } catch (_) {}
+      return true;
+    },
+    resume() {
+      if (status !== 'paused') return false;
+      status = 'running';
+      if (gamePauses()) registeredGame.resume();
+      else thawShim();
+      try { window.__resumeAllGameAudio && window.__resumeAllGameAudio(); } catch (_) {}
+      return true;
+    },
+    async destroy() {
+      if (status === 'destroyed') return;
+      status = 'destroyed';
+      if (hasHook('destroy')) {
+        try { await registeredGame.destroy(); } catch (error) { console.error(error); }
+      }
+      timers.forEach((timer) => originalClearTimeout(timer.nativeId));
+      timers.clear();
+      frameCallbacks.clear();
+      if (nativeFrameId !== null) originalCancelRAF(nativeFrameId);
+      nativeFrameId = null;
+      if (typeof window.__currentGameCleanup === 'function') {
+        try { await window.__currentGameCleanup(); } catch (_) {}
+      }
+      try { window.__cleanupAllGameAudio && await window.__cleanupAllGameAudio(); } catch (_) {}
+    },
+    getState() {
+      const state = { status, registered: !!registeredGame };
+      if (hasHook('getState')) {
+        try { state.game = registeredGame.getState(); } catch (error) { state.error = error.message; }
+      }
+      return state;
+    },
+  };
+})();
+
+// Progress reporting. Games can report explicitly:
+//
+//   window.GameOfTheDay.reportProgress({ result: 'won' | 'lost', score, questionsAnswered });
+//
+// Otherwise the runtime watches for a win or loss itself: getState().status of a registered game, a
+// top-level `gameState` variable ("won", "lost", "gameover", ...) in legacy games, or win/lose wording
+// in the game's aria-live regions. Time played (game clock, so pauses do not count) is reported when
+// the game is torn down. Everything goes to the host page's progress store in script.js.
+(() => {
+  const WATCH_INTERVAL_MS = 500;
+  const WON_STATUS = /^(won|win|victory|victorious|complete|completed|success|finished)$/i;
+  const LOST_STATUS = /^(lost|lose|loss|gameover|game_over|game over|over|failed|fail|defeat|dead)$/i;
+  const WON_TEXT = /\b(you win|you won|victory|you did it|mission complete)\b/i;
+  const LOST_TEXT = /\b(game over|you lost|you lose|out of (lives|time|chances))\b/i;
+
+  const lifecycle = window.__gameLifecycle;
+  let gameName = '';
+  let startedAt = null;
+  let reportedExplicitly = false;
+  let roundResult = null; // result already reported for the current round
+  let lastLiveText = '';
+
+  function hostProgress() {
+    try {
+      return (window.parent !== window && window.parent.GameOfTheDayHost && window.parent.GameOfTheDayHost.progress) || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function send(report) {
+    const progress = hostProgress();
+    // Watching a replay is not playing
+    if (!progress || !gameName || window.__gameReplay.mode === 'play') return;
+    try { progress.report(gameName, report); } catch (error) { console.error(error); }
+  }
+
+  function normalizeStatus(value) {
+    if (typeof value !== 'string') return null;
+    if (WON_STATUS.test(value.trim())) return 'won';
+    if (LOST_STATUS.test(value.trim())) return 'lost';
+    return 'playing';
+  }
+
+  function readScore(state) {
+    if (state && typeof state.score === 'number') return state.score;
+    // Top-level `let score` in a legacy game is visible here by name; IIFE-scoped ones are not
+    try { if (typeof score === 'number') return score; } catch (_) {}
+    return undefined;
+  }
+
+  function recordResult(result, state) {
+    if (result === roundResult) return;
+    roundResult = result;
+    if (result === 'won' || result === 'lost') send({ result, score: readScore(state) });
+  }
+
+  function watch() {
+    if (reportedExplicitly) return;
+    const state = lifecycle.getState().game;
+    if (state && typeof state.status === 'string') {
+      recordResult(normalizeStatus(state.status), state);
+      return;
+    }
+    let legacyState;
+    try { legacyState = typeof gameState === 'string' ? gameState : undefined; } catch (_) {}
+    if (legacyState !== undefined) {
+      recordResult(normalizeStatus(legacyState), null);
+      return;
+    }
+    const liveText = Array.from(document.querySelectorAll('[aria-live], [role="status"], [role="alert"]'))
+      .map((element) => element.textContent || '')
+      .join(' ')
+      .trim();
+    if (liveText === lastLiveText) return;
+    lastLiveText = liveText;
+    // Live regions only ever announce a result; a new round is assumed once the wording moves on
+    if (WON_TEXT.test(liveText)) recordResult('won', null);
+    else if (LOST_TEXT.test(liveText)) recordResult('lost', null);
+    else roundResult = null;
+  }
+
+  window.GameOfTheDay.reportProgress = function(report) {
+    if (!report || typeof report !== 'object') {
+      throw new TypeError('GameOfTheDay.reportProgress expects an object');
+    }
+    reportedExplicitly = true;
+    const clean = {};
+    if (report.result === 'won' || report.result === 'lost') clean.result = report.result;
+    if (Number.isFinite(report.score)) clean.score = report.score;
+    if (Number.isFinite(report.questionsAnswered)) clean.questionsAnswered = Math.max(0, Math.floor(report.questionsAnswered));
+    send(clean);
+  };
+
+  const start = lifecycle.start;
+  lifecycle.start = function(name) {
+    start.call(lifecycle, name);
+    if (startedAt !== null) return;
+    gameName = name;
+    startedAt = performance.now();
+    // A runtime timer, so it pauses with the game and is cleared on destroy
+    window.setInterval(watch, WATCH_INTERVAL_MS);
+  };
+
+  const destroy = lifecycle.destroy;
+  lifecycle.destroy = async function() {
+    if (startedAt !== null && lifecycle.getState().status !== 'destroyed') {
+      try { watch(); } catch (_) {}
+      send({ timePlayedMs: Math.max(0, Math.round(performance.now() - startedAt)) });
+    }
+    return destroy.call(lifecycle);
+  };
+})();
+
+// Learning events, so teachers can see per-skill accuracy rather than just wins. Games report:
+//
+//   window.GameOfTheDay.track('question_shown', { question: '7 + 5', expected: 12, skill: 'addition' });
+//   window.GameOfTheDay.track('answer_submitted', { question: '7 + 5', answer: 11, expected: 12, correct: false });
+//   window.GameOfTheDay.track('hint_used', { question: '7 + 5' });
+//   window.GameOfTheDay.track('game_won', { score: 10 });  // or 'game_lost'
+//
+// latencyMs is filled in from the matching question_shown when the game does not pass it. skill is
+// optional; the host infers it from the question text. For games that never call track, answers are
+// inferred from "Correct! 7 + 5 = 12" / "Oops, 7 + 5 is 12" style announcements in aria-live regions.
+(() => {
+  const EVENT_TYPES = ['question_shown', 'answer_submitted', 'hint_used', 'game_won', 'game_lost'];
+  const WATCH_INTERVAL_MS = 250;
+  const WRONG_TEXT = /\b(incorrect|wrong|oops|not quite|try again)\b/i;
+  const CORRECT_TEXT = /\b(correct|well done|great job|nice work)\b/i;
+  const FACT = /\b(\d{1,3})\s*([+\-−×x*÷/])\s*(\d{1,3})\b/;
+
+  const lifecycle = window.__gameLifecycle;
+  let gameName = '';
+  let session = '';
+  let trackedExplicitly = false;
+  let lastQuestion = null;
+  const shownAt = new Map();
+  const liveTexts = new WeakMap(); // live region -> text last seen
+
+  function send(event) {
+    if (!gameName || window.__gameReplay.mode === 'play') return;
+    try {
+      const events = window.parent !== window && window.parent.GameOfTheDayHost && window.parent.GameOfTheDayHost.events;
+      if (events) events.record(gameName, Object.assign({ session }, event));
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  function text(value) {
+    return value === undefined || value === null ? undefined : String(value).slice(0, 200);
+  }
+
+  window.GameOfTheDay.track = function(type, data) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new TypeError(`GameOfTheDay.track expects one of: ${EVENT_TYPES.join(', ')}`);
+    }
+    data = data || {};
+    trackedExplicitly = true;
+
+    // Wins and losses go through progress reporting, which records them as events on the host
+    if (type === 'game_won' || type === 'game_lost') {
+      window.GameOfTheDay.reportProgress({ result: type === 'game_won' ? 'won' : 'lost', score: data.score });
+      return;
+    }
+
+    const question = text(data.question) || lastQuestion;
+    const key = text(data.questionId) || question;
+    const event = { type, question, skill: text(data.skill), expected: text(data.expected) };
+    if (type === 'question_shown') {
+      lastQuestion = question;
+      shownAt.set(key, performance.now());
+    } else if (type === 'answer_submitted') {
+      if (typeof data.correct !== 'boolean') {
+        throw new TypeError('answer_submitted needs correct: true or false');
+      }
+      event.answer = text(data.answer);
+      event.correct = data.correct;
+      if (Number.isFinite(data.latencyMs)) event.latencyMs = Math.round(data.latencyMs);
+      else if (shownAt.has(key)) event.latencyMs = Math.round(performance.now() - shownAt.get(key));
+      shownAt.delete(key);
+    }
+    send(event);
+  };
+
+  function watch() {
+    if (trackedExplicitly) return;
+    // Regions are read one by one: a game may announce the result in one and the next question in another
+    document.querySelectorAll('[aria-live], [role="status"], [role="alert"]').forEach((element) => {
+      const liveText = (element.textContent || '').trim();
+      if (liveText === liveTexts.get(element)) return;
+      liveTexts.set(element, liveText);
+      // Without the fact itself an announcement cannot be tied to a skill, so it is not counted
+      const fact = liveText.match(FACT);
+      if (!fact) return;
+      const correct = WRONG_TEXT.test(liveText) ? false : CORRECT_TEXT.test(liveText) ? true : null;
+      if (correct === null) return;
+      send({ type: 'answer_submitted', question: `${fact[1]} ${fact[2]} ${fact[3]}`, correct, inferred: true });
+    });
+  }
+
+  const start = lifecycle.start;
+  lifecycle.start = function(name) {
+    start.call(lifecycle, name);
+    if (session) return;
+    gameName = name;
+    session = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    window.setInterval(watch, WATCH_INTERVAL_MS);
+  };
+})();
+
+// Adaptive difficulty from the host (difficulty.js): operand ranges, operation mix, time limit, lives and
+// target score for the child's current level in a skill. Returns null when the game runs outside the
+// site, so games keep their own defaults:
+//
+//   const difficulty = window.GameOfTheDay.getDifficulty('addition') || MY_DEFAULTS;
+window.GameOfTheDay.getDifficulty = function(skill) {
+  try {
+    const host = window.parent !== window && window.parent.GameOfTheDayHost;
+    if (!host || !host.difficulty) return null;
+    // A plain copy, so nothing the game does to it reaches the host page. A replay gets what the
+    // recording got, as the child's level has moved on since.
+    return window.__gameReplay.value('difficulty', () => JSON.parse(JSON.stringify(host.difficulty.get(skill))));
+  } catch (error) {
+    console.error(error);
+    return null;
+  }
+};
+
+// Player settings from the host (settings.js): reduced motion, high contrast, larger text, mute and
+// master, music, effects and read-aloud volume, speech rate and voice, and a colorblind-safe palette.
+// Outside the site every setting has its default. Games read them once and follow changes:
+//
+//   const settings = window.GameOfTheDay.getSettings();
+//   window.GameOfTheDay.onSettingsChange((settings) => { screenShake = !settings.reducedMotion; });
+//
+// Volume, contrast and the palette are enforced here for games that never ask. Games with music should
+// connect it to window.GameOfTheDay.getMusicDestination(ctx) rather than ctx.destination, so the music
+// slider reaches it.
+(() => {
+  const DEFAULTS = {
+    reducedMotion: false,
+    highContrast: false,
+    largerText: false,
+    muted: false,
+    masterVolume: 1,
+    soundVolume: 1,
+    musicVolume: 1,
+    narration: false,
+    narrationVolume: 1,
+    speechRate: 1,
+    voice: '',
+    colorblindPalette: false,
+  };
+  const FILTER_ID = 'gotd-colorblind-filter';
+  // Daltonize for red-green colour blindness: what a deuteranope cannot tell apart is moved into blue
+  const COLORBLIND_MATRIX = '1 0 0 0 0  -0.4375 1.4375 0 0 0  0.2625 -0.5625 1.3 0 0  0 0 0 1 0';
+
+  let settings = Object.assign({}, DEFAULTS);
+  const listeners = [];
+
+  function ensureColorblindFilter() {
+    if (document.getElementById(FILTER_ID)) return;
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.style.cssText = 'position:absolute; width:0; height:0;';
+    const filter = document.createElementNS(ns, 'filter');
+    filter.setAttribute('id', FILTER_ID);
+    const matrix = document.createElementNS(ns, 'feColorMatrix');
+    matrix.setAttribute('type', 'matrix');
+    matrix.setAttribute('values', COLORBLIND_MATRIX);
+    filter.appendChild(matrix);
+    svg.appendChild(filter);
+    document.body.appendChild(svg);
+  }
+
+  function enforce() {
+    if (window.__setGameVolume) {
+      window.__setGameVolume({ master: settings.masterVolume, sound: settings.soundVolume, music: settings.musicVolume, muted: settings.muted });
+    }
+    const stage = document.getElementById('game-of-the-day-stage');
+    if (!stage) return;
+    const filters = [];
+    if (settings.highContrast) filters.push('contrast(1.35) saturate(1.15)');
+    if (settings.colorblindPalette) {
+      ensureColorblindFilter();
+      filters.push(`url(#${FILTER_ID})`);
+    }
+    stage.style.filter = filters.join(' ');
+  }
+
+  window.__applyGameSettings = function applyGameSettings(next) {
+    // A replay keeps the recorded settings, which the game may have acted on; only the volume is the player's
+    if (window.__gameReplay.mode === 'play') {
+      const { masterVolume, soundVolume, musicVolume, muted } = Object.assign({}, DEFAULTS, next);
+      if (window.__setGameVolume) window.__setGameVolume({ master: masterVolume, sound: soundVolume, music: musicVolume, muted });
+      return;
+    }
+    settings = Object.assign({}, DEFAULTS, next);
+    enforce();
+    listeners.forEach((listener) => {
+      try { listener(Object.assign({}, settings)); } catch (error) { console.error(error); }
+    });
+  };
+
+  window.GameOfTheDay.getSettings = function() {
+    return Object.assign({}, settings);
+  };
+
+  window.GameOfTheDay.getMusicDestination = function(ctx) {
+    return window.__getMusicDestination ? window.__getMusicDestination(ctx) : ctx.destination;
+  };
+
+  window.GameOfTheDay.onSettingsChange = function(listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('GameOfTheDay.onSettingsChange expects a function');
+    }
+    listeners.push(listener);
+  };
+
+  // Before the game script runs, so it starts with the player's settings
+  try {
+    const host = window.parent !== window && window.parent.GameOfTheDayHost;
+    if (host && host.settings) {
+      settings = Object.assign({}, DEFAULTS, window.__gameReplay.value('settings', () => JSON.parse(JSON.stringify(host.settings.get()))));
+    }
+  } catch (error) {
+    console.error(error);
+  }
+  enforce();
+})();
+
+// Read-aloud through the host (narration.js), for children who cannot read the screen yet. Whatever a
+// game writes into an aria-live region is passed on the way a screen reader would announce it: when the
+// text changes, or when the same text is written again after the region was cleared. Games can also
+// speak directly:
+//
+//   window.GameOfTheDay.speak('Find the gate that needs 34');
+//   window.GameOfTheDay.speak('Watch out!', { interrupt: true });  // cuts off what is being said
+//
+// Nothing is said unless the player turned read-aloud on; speak() returns whether it will be heard.
+(() => {
+  const LIVE_REGIONS = '[aria-live], [role="status"], [role="alert"]';
+  const lastText = new WeakMap(); // live region -> text last passed on
+
+  window.GameOfTheDay.speak = function(text, options) {
+    try {
+      const host = window.parent !== window && window.parent.GameOfTheDayHost;
+      if (!host || !host.narration) return false;
+      return host.narration.speak(String(text), { interrupt: !!(options && options.interrupt) });
+    } catch (error) {
+      console.error(error);
+      return false;
+    }
+  };
+
+  function announce(region) {
+    if (region.getAttribute('aria-live') === 'off' || region.closest('[aria-hidden="true"]')) return;
+    const text = (region.textContent || '').trim();
+    if (text === lastText.get(region)) return;
+    lastText.set(region, text);
+    if (!text) return;
+    const urgent = region.getAttribute('aria-live') === 'assertive' || region.getAttribute('role') === 'alert';
+    window.GameOfTheDay.speak(text, { interrupt: urgent });
+  }
+
+  if (typeof MutationObserver !== 'function') return;
+  new MutationObserver((mutations) => {
+    const changed = new Set();
+    mutations.forEach((mutation) => {
+      // Regions that arrive with text are not announced, as with screen readers; later changes are
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType !== 1) return;
+        const added = node.matches(LIVE_REGIONS) ? [node] : [];
+        added.concat(Array.from(node.querySelectorAll(LIVE_REGIONS))).forEach((region) => {
+          if (!lastText.has(region)) lastText.set(region, (region.textContent || '').trim());
+        });
+      });
+      const element = mutation.target.nodeType === 1 ? mutation.target : mutation.target.parentElement;
+      const region = element && element.closest(LIVE_REGIONS);
+      if (region) changed.add(region);
+    });
+    changed.forEach(announce);
+  }).observe(document.body, { childList: true, characterData: true, subtree: true });
+})();
+
+// Switch scanning for children who play with a single switch: the runtime steps a highlight through
+// what can be chosen, reads each label aloud when read-aloud is on, and Space or Enter (what most
+// switch interfaces send) chooses the highlighted one; Tab steps by hand. Games name their targets:
+//
+//   window.GameOfTheDay.registerScanTargets(() => [
+//     { label: 'Gate needing 34', x: 300, y: 120, width: 60, height: 60, select: () => walkTo(gate) },
+//   ]);
+//
+// The function is called on every step, so it returns what is on screen right now. x/y/width/height are
+// stage pixels and optional; without them only the caption shows the label. Games that register nothing
+// are still scanned through adapters: the answer pad's buttons, buttons and links in the stage, and
+// "Choices: 1: 12, 2: 15" listings in the stage's aria-label (latest.js), chosen by their number key.
+// The host turns scanning on and off through window.__gameScanning; it stays off while a session is
+// recorded or replayed.
+(() => {
+  const DEFAULT_INTERVAL_MS = 2000;
+  const SELECT_KEYS = [' ', 'Enter'];
+  const STEP_KEY = 'Tab';
+  const CHOICES_LABEL = /Choices:\s*((?:\d+\s*:\s*[^,.]+(?:,\s*)?)+)/;
+  const DOM_TARGETS = 'button, [role="button"], a[href], input[type="button"], input[type="submit"]';
+
+  let providers = [];
+  let active = false;
+  let intervalMs = DEFAULT_INTERVAL_MS;
+  let targets = [];
+  let index = -1;
+  let stepTimer = null;
+  let highlight = null;
+  let caption = null;
+
+  window.GameOfTheDay.registerScanTargets = function(getTargets) {
+    if (typeof getTargets !== 'function') {
+      throw new TypeError('GameOfTheDay.registerScanTargets expects a function returning targets');
+    }
+    providers.push(getTargets);
+  };
+
+  const stage = () => document.getElementById('game-of-the-day-stage');
+
+  function pressKey(key) {
+    const target = document.activeElement || document.body;
+    ['keydown', 'keyup'].forEach((type) => {
+      target.dispatchEvent(new KeyboardEvent(type, { key, code: `Digit${key}`, bubbles: true, cancelable: true }));
+    });
+  }
+
+  function domTargets(container) {
+    const origin = container.getBoundingClientRect();
+    return Array.from(container.querySelectorAll(DOM_TARGETS))
+      .filter((element) => element.getClientRects().length && !element.closest('[aria-hidden="true"]') && !element.disabled)
+      .map((element) => {
+        const rect = element.getBoundingClientRect();
+        return {
+          label: element.getAttribute('aria-label') || (element.textContent || '').trim() || element.title || element.value || 'Button',
+          x: rect.left - origin.left,
+          y: rect.top - origin.top,
+          width: rect.width,
+          height: rect.height,
+          select: () => element.click(),
+        };
+      });
+  }
+
+  function choiceTargets(container) {
+    const match = (container.getAttribute('aria-label') || '').match(CHOICES_LABEL);
+    if (!match) return [];
+    return match[1].split(',').map((part) => part.trim().match(/^(\d+)\s*:\s*(.+)$/)).filter(Boolean)
+      .map(([, key, value]) => ({ label: value.trim(), select: () => pressKey(key) }));
+  }
+
+  // The answer pad covers the game while it is open, so its buttons are all there is to choose
+  function collectTargets() {
+    const pad = window.GameOfTheDayAnswerPad;
+    if (pad && pad.isOpen()) return pad.getScanTargets();
+    const found = [];
+    providers.forEach((getTargets) => {
+      try {
+        (getTargets() || []).forEach((target) => {
+          if (target && typeof target.select === 'function') found.push(Object.assign({}, target, { label: String(target.label || 'Choice') }));
+        });
+      } catch (error) {
+        console.error(error);
+      }
+    });
+    if (found.length) return found;
+    const container = stage();
+    if (!container) return [];
+    const fromDom = domTargets(container);
+    return fromDom.length ? fromDom : choiceTargets(container);
+  }
+
+  function ensureHighlight() {
+    const container = stage();
+    if (!container || (highlight && highlight.parentNode === container)) return;
+    highlight = document.createElement('div');
+    highlight.setAttribute('aria-hidden', 'true');
+    highlight.style.cssText = 'position:absolute; display:none; border:5px solid #FFD600; border-radius:12px; box-shadow:0 0 0 3px #18182e, 0 0 18px #FFD600; pointer-events:none; z-index:2000;';
+    // Spoken by step() already, so kept out of the live regions screen readers and the runtime watch
+    caption = document.createElement('div');
+    caption.setAttribute('aria-hidden', 'true');
+    caption.style.cssText = 'position:absolute; top:8px; left:50%; transform:translateX(-50%); max-width:90%; padding:6px 14px; border-radius:16px; background:#FFD600; color:#18182e; font:bold ' + (window.GameOfTheDay.getSettings().largerText ? 24 : 18) + 'px system-ui, sans-serif; pointer-events:none; z-index:2001; white-space:nowrap; overflow:hidden; text-overflow:ellipsis;';
+    container.appendChild(highlight);
+    container.appendChild(caption);
+  }
+
+  function show(target) {
+    ensureHighlight();
+    if (!highlight) return;
+    const hasRect = target && [target.x, target.y, target.width, target.height].every(Number.isFinite);
+    highlight.style.display = hasRect ? 'block' : 'none';
+    if (hasRect) {
+      Object.assign(highlight.style, {
+        left: `${target.x - 6}px`,
+        top: `${target.y - 6}px`,
+        width: `${target.width + 2}px`,
+        height: `${target.height + 2}px`,
+      });
+    }
+    caption.textContent = target ? `▶ ${target.label}` : 'Nothing to choose right now';
+  }
+
+  function schedule() {
+    window.clearTimeout(stepTimer);
+    stepTimer = window.setTimeout(step, intervalMs);
+  }
+
+  // Where a label is in a list, counting repeats ('1-stone' twice), so a changed list keeps its place
+  function findLabel(list, label, occurrence) {
+    let seen = -1;
+    return list.findIndex((target) => target.label === label && ++seen === occurrence);
+  }
+
+  // Next target; a list that changed underneath keeps its place at the same label where it can
+  function step() {
+    if (!active) return;
+    const current = targets[index];
+    const occurrence = current ? targets.slice(0, index).filter((target) => target.label === current.label).length : 0;
+    targets = collectTargets();
+    const kept = current ? findLabel(targets, current.label, occurrence) : -1;
+    index = targets.length ? (kept >= 0 ? kept + 1 : index + 1) % targets.length : -1;
+    show(targets[index]);
+    if (targets[index]) window.GameOfTheDay.speak(targets[index].label, { interrupt: true });
+    schedule();
+  }
+
+  function select() {
+    const target = targets[index];
+    if (!target) return;
+    try { target.select(); } catch (error) { console.error(error); }
+    // Start over from the first target of whatever the choice led to
+    index = -1;
+    targets = [];
+    window.clearTimeout(stepTimer);
+    stepTimer = window.setTimeout(step, Math.min(intervalMs, 800));
+  }
+
+  // Registered after the lifecycle's input freeze, so a paused game does not scan or select
+  ['keydown', 'keyup'].forEach((type) => {
+    window.addEventListener(type, (event) => {
+      if (!active) return;
+      if (!SELECT_KEYS.includes(event.key) && event.key !== STEP_KEY) return;
+      event.stopImmediatePropagation();
+      event.preventDefault();
+      if (type !== 'keydown' || event.repeat) return;
+      if (event.key === STEP_KEY) {
+        window.clearTimeout(stepTimer);
+        step();
+      } else {
+        select();
+      }
+    }, true);
+  });
+
+  window.__gameScanning = {
+    start(options) {
+      const requested = options && Number(options.intervalMs);
+      intervalMs = requested >= 500 ? requested : DEFAULT_INTERVAL_MS;
+      // Its timers and Space presses would land in a recording, or be missing from a replay
+      if (active || window.__gameReplay.mode) return;
+      active = true;
+      index = -1;
+      step();
+    },
+    stop() {
+      active = false;
+      window.clearTimeout(stepTimer);
+      if (highlight) highlight.remove();
+      if (caption) caption.remove();
+      highlight = null;
+      caption = null;
+    },
+    isActive: () => active,
+  };
+})();
+
+// Frame-side teardown, called by the host right before it removes the frame
+window.__cleanupCurrentGame = async function cleanupCurrentGame() {
+  try { await window.__gameLifecycle.destroy(); } catch (_) {}
+  try {
+    const stage = document.getElementById('game-of-the-day-stage');
+    if (stage) stage.innerHTML = '';
+  } catch (_) {}
+  window.__currentGameCleanup = null;
+};
+
+// Load the requested game script into this frame
+(() => {
+  const stage = document.getElementById('game-of-the-day-stage');
+
+  function showError(lines) {
+    if (!stage) return;
+    stage.innerHTML = '';
+    const box = document.createElement('div');
+    box.className = 'error-message';
+    lines.forEach((text) => {
+      const p = document.createElement('p');
+      p.textContent = text;
+      box.appendChild(p);
+    });
+    stage.appendChild(box);
+  }
+
+  const gameName = new URLSearchParams(window.location.search).get('game') || '';
+  // Only plain file names from games/ (dates, "latest", "tens-and-trails", ...)
+  if (!/^[A-Za-z0-9][A-Za-z0-9 ._-]*$/.test(gameName)) {
+    showError(['No game selected.']);
+    return;
+  }
+
+  // Errors thrown while the game script first runs replace the stage with a message,
+  // the same way the old inline loader's try/catch did
+  let booting = true;
+  window.addEventListener('error', (event) => {
+    if (!booting) return;
+    console.error('Game execution error:', event.error || event.message);
+    const message = (event.error && event.error.message) || event.message || 'Unknown error';
+    showError(['This game encountered an error while loading.', `Error: ${message}`]);
+  });
+
+  const script = document.createElement('script');
+  script.src = `games/${encodeURIComponent(gameName)}.js`;
+  script.addEventListener('load', () => {
+    try {
+      window.__gameLifecycle.start(gameName);
+    } catch (error) {
+      console.error('Game execution error:', error);
+      showError(['This game encountered an error while loading.', `Error: ${error.message}`]);
+    }
+    booting = false;
+  });
+  script.addEventListener('error', () => {
+    booting = false;
+    showError(['Failed to load this game.', 'Please try a different date.']);
+  });
+  document.body.appendChild(script);
+})();
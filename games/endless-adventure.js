@@ -4,8 +4,12 @@ const tileSize = 48;
 const rows = Math.floor(gameHeight / tileSize);
 const cols = Math.floor(gameWidth / tileSize);
 
-window.addEventListener('DOMContentLoaded', function() {
-  const container = document.getElementById('endless-adventure-stage');
+// Runs on its own page (#endless-adventure-stage) or inside the Game of the Day frame, where this
+// script is appended after the DOM is ready
+function startEndlessAdventure() {
+  const container =
+    document.getElementById('endless-adventure-stage') ||
+    document.getElementById('game-of-the-day-stage');
   if (!container) {
     console.error('Missing #endless-adventure-stage');
     return;
@@ -15,6 +19,17 @@ window.addEventListener('DOMContentLoaded', function() {
   canvas.height = gameHeight;
   container.appendChild(canvas);
   const ctx = canvas.getContext('2d');
+  // Questions are asked on the in-canvas answer pad (answer-pad.js), which the site's game frame and
+  // endless-adventure.html both load
+  const answerPad = window.GameOfTheDayAnswerPad;
+
+  // Skill tag for a "What is 7 + 5" question, from its operator
+  function questionSkill(question) {
+    if (/[×*]/.test(question)) return 'multiplication';
+    if (question.includes('÷')) return 'division';
+    if (question.includes('-')) return 'subtraction';
+    return 'addition';
+  }
 
   class Character {
     constructor(x, y, color, name) {
@@ -146,18 +161,20 @@ window.addEventListener('DOMContentLoaded', function() {
       this.solved = false;
       this.spikeAngle = 0; // For spike animation
     }
-    interact(player) {
-      if (this.solved) return 'Already solved!';
-      // simple prompt for answer
-      let playerAnswer = prompt(this.question + ' ?');
-      if (playerAnswer === null) return 'Cancelled.';
-      if (parseInt(playerAnswer.trim()) === this.answer) {
+    async interact(player) {
+      if (this.solved) return;
+      const { correct } = await answerPad.ask({
+        question: `${this.question}?`,
+        reportQuestion: this.question,
+        skill: questionSkill(this.question),
+        answer: this.answer,
+        correctText: 'Correct! Well done!',
+        wrongText: 'Oops, try again next time.'
+      });
+      if (correct) {
         this.solved = true;
         spawnConfetti(this.x, this.y - this.size * 0.5);
         if (player instanceof Explorer) player.armor++;
-        return 'Correct! Well done!';
-      } else {
-        return 'Oops, try again next time.';
       }
     }
     updateSpikeAnimation() {
@@ -273,16 +290,19 @@ window.addEventListener('DOMContentLoaded', function() {
       }
       ctx.restore();
     }
-    interact(player) {
-      if (this.opened) return 'You already got this treasure.';
-      let guess = prompt(`Solve to open the chest!\nWhat is ${this.value.a} + ${this.value.b} ?`);
-      if (guess === null) return 'Maybe later.';
-      if (parseInt(guess.trim()) === (this.value.a + this.value.b)) {
+    async interact() {
+      if (this.opened) return;
+      const { correct } = await answerPad.ask({
+        question: `Solve to open the chest!\nWhat is ${this.value.a} + ${this.value.b}?`,
+        reportQuestion: `What is ${this.value.a} + ${this.value.b}`,
+        skill: 'addition',
+        answer: this.value.a + this.value.b,
+        correctText: `You found ${this.value.reward} gold coins!`,
+        wrongText: 'Wrong answer, the chest remains locked.'
+      });
+      if (correct) {
         this.opened = true;
         treasuresFound++;
-        return `You found ${this.value.reward} gold coins!`;
-      } else {
-        return 'Wrong answer, the chest remains locked.';
       }
     }
   }
@@ -575,18 +595,42 @@ window.addEventListener('DOMContentLoaded', function() {
     return deterministicRandom(r, c) > 0.3426 && deterministicRandom(r + 100, c - 100) < 0.5;
   }
 
+  // Operand ranges and operation mix come from the site's adaptive difficulty; on its own page the
+  // game keeps its original 2-11 addition and subtraction
+  const DEFAULT_DIFFICULTY = { operandRange: [2, 11], operations: { '+': 0.5, '-': 0.5 }, factorRange: [2, 5] };
+  const difficulty =
+    (window.GameOfTheDay && window.GameOfTheDay.getDifficulty && window.GameOfTheDay.getDifficulty('arithmetic')) ||
+    DEFAULT_DIFFICULTY;
+
+  function pickOperation(roll) {
+    const entries = Object.entries(difficulty.operations);
+    let remaining = roll * entries.reduce((sum, [, share]) => sum + share, 0);
+    for (const [op, share] of entries) {
+      remaining -= share;
+      if (remaining < 0) return op;
+    }
+    return entries[entries.length - 1][0];
+  }
+
   function getGeneratedNPCQuestion(r, c) {
-    // Generate a simple math question based on coordinates
-    const a = 2 + Math.floor(deterministicRandom(r, c) * 10);
-    const b = 2 + Math.floor(deterministicRandom(c, r) * 10);
-    const op = deterministicRandom(r + c, c - r) > 0.5 ? '+' : '-';
+    // Generate a math question based on coordinates, so each tile keeps its question
+    const op = pickOperation(deterministicRandom(r + c, c - r));
+    const [min, max] = op === '×' || op === '÷' ? difficulty.factorRange : difficulty.operandRange;
+    const a = min + Math.floor(deterministicRandom(r, c) * (max - min + 1));
+    const b = min + Math.floor(deterministicRandom(c, r) * (max - min + 1));
     let question, answer;
-    if (op === '+') {
-      question = `What is ${a} + ${b}`;
-      answer = a + b;
-    } else {
+    if (op === '×') {
+      question = `What is ${a} × ${b}`;
+      answer = a * b;
+    } else if (op === '÷') {
+      question = `What is ${a * b} ÷ ${a}`;
+      answer = b;
+    } else if (op === '-') {
       question = `What is ${a + b} - ${a}`;
       answer = b;
+    } else {
+      question = `What is ${a} + ${b}`;
+      answer = a + b;
     }
     return { question, answer };
   }
@@ -647,12 +691,10 @@ window.addEventListener('DOMContentLoaded', function() {
     const worldClickX = cameraX - gameWidth/2 + clickX;
     const worldClickY = cameraY - gameHeight/2 + clickY;
     // Detect if near NPC or chest (within 50px)
-    let msg = '';
     // Check fixed NPCs
     for (const npc of npcs) {
       if (!npc.solved && distance(worldClickX, worldClickY, npc.x, npc.y) < 50) {
-        msg = npc.interact(explorer);
-        alert(msg);
+        npc.interact(explorer);
         return;
       }
     }
@@ -661,23 +703,25 @@ window.addEventListener('DOMContentLoaded', function() {
     const c = Math.floor((worldClickX) / tileSize);
     if (isGeneratedNPC(r, c) && !solvedGeneratedNPCs.has(r + ',' + c)) {
       const { question, answer } = getGeneratedNPCQuestion(r, c);
-      let playerAnswer = prompt(question + ' ?');
-      if (playerAnswer === null) return;
-      if (parseInt(playerAnswer.trim()) === answer) {
+      answerPad.ask({
+        question: `${question}?`,
+        reportQuestion: question,
+        skill: questionSkill(question),
+        answer,
+        correctText: 'Correct! Well done!',
+        wrongText: 'Oops, try again next time.'
+      }).then(({ correct }) => {
+        if (!correct) return;
         solvedGeneratedNPCs.add(r + ',' + c);
         spawnConfetti(c * tileSize + tileSize/2, r * tileSize + tileSize/2 - tileSize * 0.5);
-        alert('Correct! Well done!');
         explorer.armor++; // Increment armor when a problem is solved
-      } else {
-        alert('Oops, try again next time.');
-      }
+      });
       return;
     }
     // Check chests
     for (const chest of chests) {
       if (!chest.opened && distance(worldClickX, worldClickY, chest.x, chest.y) < 50) {
-        msg = chest.interact(explorer);
-        alert(msg);
+        chest.interact();
         return;
       }
     }
@@ -948,4 +992,10 @@ window.addEventListener('DOMContentLoaded', function() {
 
   // Start the game
   initGame();
-});
+}
+
+if (document.readyState === 'loading') {
+  window.addEventListener('DOMContentLoaded', startEndlessAdventure);
+} else {
+  startEndlessAdventure();
+}
@@ -2,7 +2,8 @@
   // Open World Exploration Math Game: "Tens & Trails" (Visuals + Audio Enhanced)
   // Renders entirely inside #game-of-the-day-stage using a 720x480 canvas.
   // All graphics are canvas-drawn; all sounds use Web Audio API oscillators.
-  // Focus concept unchanged: place value (tens and ones) and addition/subtraction within 60.
+  // Focus concept unchanged: place value (tens and ones) and addition/subtraction, within 60 by default
+  // and within the child's current place value difficulty level on the site.
 
   // Utility helpers
   const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
@@ -657,9 +658,22 @@
   let solvedCount = 0;
   const targetSolveTotal = 3;
   let gameWon = false;
+  let gameLost = false;
+
+  // Gate targets, wrong tries allowed and the time to solve a gate once the player reaches it come from
+  // the site's adaptive difficulty for place value, read again for every new world; on its own the game
+  // keeps its original 14-59 with no limits
+  const DEFAULT_DIFFICULTY = { operandRange: [14, 59], lives: null, timeLimitSec: null };
+  const GATE_ACTIVE_DIST = 120;
+  let difficulty = DEFAULT_DIFFICULTY;
+  let livesLeft = null;
+  const readDifficulty = () =>
+    (window.GameOfTheDay && window.GameOfTheDay.getDifficulty && window.GameOfTheDay.getDifficulty('place value')) ||
+    DEFAULT_DIFFICULTY;
 
   // World generation
   const initWorld = () => {
+    walkTarget = null;
     // Islands as clumped circles
     world.islands = [];
     const clusters = 6;
@@ -705,15 +719,20 @@
     ];
     gatePositions.sort(() => Math.random() - 0.5);
     const chosen = gatePositions.slice(0, targetSolveTotal);
+    difficulty = readDifficulty();
+    livesLeft = difficulty.lives;
+    const [minTarget, maxTarget] = difficulty.operandRange;
     chosen.forEach((pos, i) => {
-      const target = randInt(14, 59);
+      const target = randInt(minTarget, maxTarget);
       world.gates.push({
         x: pos.x,
         y: pos.y,
         target,
         open: false,
         id: `gate${i}`,
-        hintShown: false
+        hintShown: false,
+        shown: false,
+        timeLeft: difficulty.timeLimitSec
       });
       world.shards.push({
         x: pos.x + rand(-30, 30),
@@ -780,6 +799,7 @@
     player.ones = 5;
     solvedCount = 0;
     gameWon = false;
+    gameLost = false;
     showHelp = true;
 
     narrate('Explore the islands! Collect tens and ones. Find a gate and match its number with your bag.');
@@ -1514,6 +1534,26 @@
     ctx.fillStyle = '#555';
     ctx.fillText('Move: Arrows/WASD  •  Space: Try gate  •  Q: Drop 1  •  E: Drop 10  •  H: Help  •  R: Reset', 10, 36);
 
+    // Tries left and the time at the gate the player is standing by, when the level has them
+    const limits = [];
+    if (livesLeft !== null) limits.push(`♥ ${livesLeft}`);
+    const timedGate = activeGate();
+    if (timedGate && timedGate.timeLeft !== null) limits.push(`⏱ ${Math.ceil(timedGate.timeLeft)}s`);
+    if (limits.length) {
+      const text = limits.join('   ');
+      ctx.save();
+      ctx.font = 'bold 16px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = 'rgba(255,255,255,0.85)';
+      ctx.beginPath();
+      ctx.roundRect(8, 52, ctx.measureText(text).width + 20, 26, 8);
+      ctx.fill();
+      ctx.fillStyle = '#a33a3a';
+      ctx.fillText(text, 18, 65);
+      ctx.restore();
+    }
+
     // Messages
     const now = performance.now();
     if (messageQueue.length > 0) {
@@ -1582,6 +1622,25 @@
       ctx.restore();
     }
 
+    // Lose overlay
+    if (gameLost) {
+      ctx.save();
+      ctx.globalAlpha = 0.92;
+      ctx.fillStyle = 'rgba(255,255,255,0.95)';
+      ctx.fillRect(80, 120, canvas.width - 160, 240);
+      ctx.strokeStyle = '#333';
+      ctx.lineWidth = 4;
+      ctx.strokeRect(80, 120, canvas.width - 160, 240);
+      ctx.fillStyle = '#a33a3a';
+      ctx.font = 'bold 26px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('Out of chances!', canvas.width / 2, 170);
+      ctx.fillStyle = '#333';
+      ctx.font = '18px sans-serif';
+      wrapText('The gates stay shut this time. Press R to explore a new world and try again.', canvas.width / 2, 210, canvas.width - 200, 24);
+      ctx.restore();
+    }
+
     // Win overlay
     if (gameWon) {
       ctx.save();
@@ -1638,6 +1697,21 @@
     if (left) ax -= 1;
     if (right) ax += 1;
 
+    // Walking toward a target chosen by switch scanning, until the player steers themselves
+    if (ax !== 0 || ay !== 0) {
+      walkTarget = null;
+    } else if (walkTarget) {
+      const d = dist(player, walkTarget);
+      if (d < WALK_ARRIVE_DIST) {
+        const arrived = walkTarget;
+        walkTarget = null;
+        if (arrived.target !== undefined && !arrived.open) tryGate();
+      } else {
+        ax = (walkTarget.x - player.x) / d;
+        ay = (walkTarget.y - player.y) / d;
+      }
+    }
+
     let moving = false;
     if (ax !== 0 || ay !== 0) {
       const len = Math.hypot(ax, ay) || 1;
@@ -1705,17 +1779,64 @@
       }
     }
 
+    // Reaching a closed gate shows its question, so answer times are measured from here
+    const gate = activeGate();
+    if (gate && !gate.shown) {
+      gate.shown = true;
+      trackLearning('question_shown', { question: gateQuestion(gate.target), expected: gateExpected(gate.target), skill: 'place value' });
+    }
+
+    // Gate timer: runs while the player stands by a closed gate, and costs a try when it runs out
+    if (gate && gate.timeLeft !== null && !gameWon && !gameLost) {
+      gate.timeLeft -= (dt * 16.67) / 1000;
+      if (gate.timeLeft <= 0) {
+        gate.timeLeft = difficulty.timeLimitSec;
+        AudioManager.incorrect();
+        addRing(gate.x, gate.y, '#ff6b6b');
+        enqueueMessage(`Time's up for gate ${gate.target}! The timer starts again.`, 3000);
+        narrate(`Time's up for gate ${gate.target}.`);
+        loseLife();
+      }
+    }
+
     // Win check
     if (!gameWon && solvedCount >= targetSolveTotal) {
       gameWon = true;
       AudioManager.correct();
       addConfetti(player.x, player.y);
       narrate('You opened all the gates! Great job using tens and ones.');
+      trackLearning('game_won', { score: solvedCount });
     }
   };
 
+  // The closed gate the player is close enough to be working on, if any
+  const activeGate = () => world.gates.find((g) => !g.open && dist(player, g) < GATE_ACTIVE_DIST) || null;
+
+  // A wrong try or a gate timer running out; the game is lost when the level's tries are used up
+  const loseLife = () => {
+    if (livesLeft === null || gameLost) return;
+    livesLeft = Math.max(0, livesLeft - 1);
+    if (livesLeft > 0) return;
+    gameLost = true;
+    narrate('Out of chances! Press R to explore a new world.');
+    trackLearning('game_lost', { score: solvedCount });
+  };
+
+  const gateQuestion = (target) => `Make ${target} with tens and ones`;
+  const gateExpected = (target) => `${Math.floor(target / 10)} tens + ${target % 10} ones`;
+
+  // Report gate attempts to the site's learning events (no-op when played outside the site)
+  const trackLearning = (type, data) => {
+    if (window.GameOfTheDay && window.GameOfTheDay.track) window.GameOfTheDay.track(type, data);
+  };
+
   // Gate interaction and drops (mechanics unchanged)
   const tryGate = () => {
+    if (gameLost) {
+      enqueueMessage('Out of chances. Press R for a new world.', 2000);
+      narrate('Out of chances. Press R for a new world.');
+      return;
+    }
     let nearbyGate = null;
     for (const g of world.gates) {
       if (!g.open && dist(player, g) < 36) {
@@ -1731,6 +1852,13 @@
 
     const total = player.tens * 10 + player.ones;
     const t = nearbyGate.target;
+    trackLearning('answer_submitted', {
+      question: gateQuestion(t),
+      answer: `${player.tens} tens + ${player.ones} ones`,
+      expected: gateExpected(t),
+      correct: total === t,
+      skill: 'place value'
+    });
     if (total === t) {
       nearbyGate.open = true;
       solvedCount += 1;
@@ -1750,6 +1878,7 @@
       }
       AudioManager.incorrect();
       addRing(nearbyGate.x, nearbyGate.y, '#ff6b6b');
+      loseLife();
     }
   };
 
@@ -1789,6 +1918,48 @@
     addRing(px, py, '#b19020');
   };
 
+  // Switch scanning (game-runtime.js): gates and items on screen to walk to, and the drop actions
+  let walkTarget = null;
+  const WALK_ARRIVE_DIST = 24;
+  const onScreen = (o, margin) =>
+    o.x - camera.x > -margin && o.x - camera.x < canvas.width + margin &&
+    o.y - camera.y > -margin && o.y - camera.y < canvas.height + margin;
+  // Canvas pixels to stage pixels, as the canvas may be scaled to fit the stage
+  const toStage = (x, y, size) => {
+    const rect = canvas.getBoundingClientRect();
+    const origin = stage.getBoundingClientRect();
+    const scale = rect.width / canvas.width || 1;
+    return {
+      x: rect.left - origin.left + (x - size / 2) * scale,
+      y: rect.top - origin.top + (y - size / 2) * scale,
+      width: size * scale,
+      height: size * scale
+    };
+  };
+  const walkTo = (target) => {
+    walkTarget = target;
+    if (!firstInteraction) {
+      firstInteraction = true;
+      AudioManager.start();
+    }
+  };
+  if (window.GameOfTheDay && window.GameOfTheDay.registerScanTargets) {
+    window.GameOfTheDay.registerScanTargets(() => {
+      const gates = world.gates
+        .filter((g) => !g.open && onScreen(g, 0))
+        .map((g) => Object.assign({ label: `Gate needing ${g.target}`, select: () => walkTo(g) }, toStage(g.x - camera.x, g.y - camera.y, 72)));
+      const items = world.items
+        .filter((it) => !it.picked && onScreen(it, 0))
+        .sort((a, b) => dist(player, a) - dist(player, b))
+        .slice(0, 6)
+        .map((it) => Object.assign({ label: it.type === 'ten' ? '10-stick' : '1-stone', select: () => walkTo(it) }, toStage(it.x - camera.x, it.y - camera.y, 36)));
+      return gates.concat(items, [
+        { label: 'Drop a one', select: dropOne },
+        { label: 'Drop a ten', select: dropTen }
+      ]);
+    });
+  }
+
   // Keyboard handlers
   window.addEventListener('keydown', (e) => {
     if (!firstInteraction) {
@@ -0,0 +1,142 @@
+// Learning events: every question a child is shown and how they answered it, saved for the active player
+// profile (profiles.js). Games send events through GameOfTheDay.track in game-runtime.js; the host keeps
+// them here and exports them as CSV or as xAPI-style statements for teachers.
+const LEARNING_EVENT_TYPES = ['question_shown', 'answer_submitted', 'hint_used', 'game_won', 'game_lost'];
+const MAX_LEARNING_EVENTS = 5000;
+const LEARNING_EVENT_COLUMNS = [
+    'time', 'game', 'session', 'type', 'skill', 'question', 'answer', 'expected', 'correct', 'latencyMs', 'score', 'inferred'
+];
+
+// Same skill names as the archive's skill filter (build_manifest.py); the operator in a fact wins
+const OPERATOR_SKILLS = { '+': 'addition', '-': 'subtraction', '−': 'subtraction', '×': 'multiplication', 'x': 'multiplication', '*': 'multiplication', '÷': 'division', '/': 'division' };
+const QUESTION_SKILLS = [
+    ['place value', /\b(place value|tens and ones|tens?\b.*\bones?)\b/i],
+    ['fractions', /\b(fractions?|halves|half|quarters?)\b/i],
+    ['money', /\b(coins?|money|cents?|dollars?)\b/i],
+    ['time', /\b(o'clock|what time|minutes past)\b/i],
+    ['patterns', /\b(patterns?|sequences?|next number|skip count(ing)?)\b/i],
+    ['comparison', /\b(compare|greater|less than|bigger|smaller|more than)\b/i],
+    ['counting', /\b(count(ing)?|how many)\b/i],
+    ['addition', /\b(add|sum|plus|altogether|in all)\b/i],
+    ['subtraction', /\b(subtract|minus|difference|take away|left)\b/i],
+    ['multiplication', /\b(times|multiply|product|groups of)\b/i],
+    ['division', /\b(divide|share equally|split)\b/i],
+];
+
+function inferQuestionSkill(question) {
+    if (!question) return null;
+    const fact = String(question).match(/\d\s*([+\-−×x*÷/])\s*\d/);
+    if (fact) return OPERATOR_SKILLS[fact[1]];
+    const match = QUESTION_SKILLS.find(([, pattern]) => pattern.test(question));
+    return match ? match[0] : null;
+}
+
+function loadLearningEvents(profileId) {
+    const saved = readProfileData('events', [], profileId);
+    return Array.isArray(saved) ? saved : [];
+}
+
+function recordLearningEvent(gameId, event) {
+    if (!event || !LEARNING_EVENT_TYPES.includes(event.type)) {
+        console.warn('Ignoring unknown learning event:', event);
+        return null;
+    }
+    const record = {
+        time: new Date().toISOString(),
+        game: gameId,
+        session: event.session || null,
+        type: event.type,
+        skill: event.skill || inferQuestionSkill(event.question),
+        question: event.question || null,
+    };
+    if (event.expected !== undefined && event.expected !== null) record.expected = event.expected;
+    if (event.type === 'answer_submitted') {
+        record.answer = event.answer === undefined ? null : event.answer;
+        record.correct = !!event.correct;
+        record.latencyMs = Number.isFinite(event.latencyMs) ? event.latencyMs : null;
+    }
+    if (typeof event.score === 'number') record.score = event.score;
+    if (event.inferred) record.inferred = true;
+
+    // Oldest events go first once the cap is reached; a shared tablet only has a few MB of storage
+    const events = loadLearningEvents();
+    events.push(record);
+    writeProfileData('events', events.slice(-MAX_LEARNING_EVENTS));
+    return record;
+}
+
+function learningEventsToCsv(events) {
+    const cell = value => {
+        if (value === undefined || value === null) return '';
+        let text = String(value);
+        // Keep spreadsheet apps from treating game text as a formula; plain numbers such as -3 stay numbers
+        if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = events.map(event => LEARNING_EVENT_COLUMNS.map(column => cell(event[column])).join(','));
+    return [LEARNING_EVENT_COLUMNS.join(',')].concat(rows).join('\n') + '\n';
+}
+
+// xAPI-style statements (https://github.com/adlnet/xAPI-Spec); the site is not an LRS, so ids are its URLs
+function learningEventsToXapi(events, profile) {
+    const site = `${location.origin}${location.pathname.replace(/[^/]*$/, '')}`;
+    const verbs = {
+        question_shown: ['http://adlnet.gov/expapi/verbs/experienced', 'experienced'],
+        answer_submitted: ['http://adlnet.gov/expapi/verbs/answered', 'answered'],
+        hint_used: ['http://adlnet.gov/expapi/verbs/interacted', 'used a hint on'],
+        game_won: ['http://adlnet.gov/expapi/verbs/passed', 'passed'],
+        game_lost: ['http://adlnet.gov/expapi/verbs/failed', 'failed'],
+    };
+    const actor = { objectType: 'Agent', name: profile.name, account: { homePage: site, name: profile.id } };
+
+    return events.map(event => {
+        const gameActivity = {
+            objectType: 'Activity',
+            id: `${site}#/game/${encodeURIComponent(event.game)}`,
+            definition: { type: 'http://adlnet.gov/expapi/activities/assessment', name: { 'en-US': `Game ${event.game}` } }
+        };
+        const isQuestion = event.type !== 'game_won' && event.type !== 'game_lost';
+        const statement = {
+            actor,
+            verb: { id: verbs[event.type][0], display: { 'en-US': verbs[event.type][1] } },
+            object: isQuestion ? {
+                objectType: 'Activity',
+                id: `${gameActivity.id}/question/${encodeURIComponent(event.question || 'unknown')}`,
+                definition: {
+                    type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+                    interactionType: 'fill-in',
+                    name: { 'en-US': event.question || 'Unknown question' },
+                    ...(event.expected !== undefined && event.expected !== null
+                        ? { correctResponsesPattern: [String(event.expected)] } : {})
+                }
+            } : gameActivity,
+            timestamp: event.time,
+            context: {
+                contextActivities: isQuestion ? { parent: [gameActivity] } : {},
+                extensions: {
+                    [`${site}xapi/skill`]: event.skill || null,
+                    [`${site}xapi/session`]: event.session || null
+                }
+            }
+        };
+        if (event.type === 'answer_submitted') {
+            statement.result = { success: event.correct, response: event.answer === null ? '' : String(event.answer) };
+            if (event.latencyMs !== null) statement.result.duration = `PT${(event.latencyMs / 1000).toFixed(2)}S`;
+        } else if (!isQuestion) {
+            statement.result = { success: event.type === 'game_won', completion: true };
+            if (typeof event.score === 'number') statement.result.score = { raw: event.score };
+        }
+        return statement;
+    });
+}
+
+function exportLearningEvents(format) {
+    const profile = getActiveProfile();
+    const events = loadLearningEvents();
+    const fileName = `game-of-the-day-${profileFileName(profile)}-answers`;
+    if (format === 'xapi') {
+        downloadFile(`${fileName}.xapi.json`, JSON.stringify(learningEventsToXapi(events, profile), null, 2), 'application/json');
+    } else {
+        downloadFile(`${fileName}.csv`, learningEventsToCsv(events), 'text/csv');
+    }
+}
@@ -0,0 +1,114 @@
+// Read-aloud for children who cannot read yet: what games announce in their aria-live regions (passed on
+// by game-runtime.js) and what they hand to GameOfTheDay.speak() is spoken with the browser's speech
+// synthesis, in the voice and at the rate saved in the player's settings (settings.js). Nothing is said
+// unless the player turned on "Read things aloud", so screen reader users do not hear everything twice.
+//
+// Ordinary announcements wait their turn. A queue that falls behind drops its oldest lines, as only what
+// is on screen now matters, and so does a line that waited too long. Urgent ones (assertive regions,
+// role="alert", switch scanning) cut off whatever is being said. Game audio is turned down while the
+// voice speaks, so it can be heard over the music.
+const NARRATION_MAX_QUEUE = 3;
+const NARRATION_MAX_WAIT_MS = 8000;
+const NARRATION_MAX_LENGTH = 300;
+const NARRATION_SAMPLE = 'Hi! This is how the games will sound.';
+
+let narrationQueue = [];
+let narrationCurrent = null;
+
+function narrationAvailable() {
+    return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance === 'function';
+}
+
+// Returns whether the line will be spoken (or already is)
+function speakNarration(text, options) {
+    const line = String(text || '').replace(/\s+/g, ' ').trim().slice(0, NARRATION_MAX_LENGTH);
+    const settings = getGameSettings();
+    if (!line || !narrationAvailable() || !settings.narration || settings.muted) return false;
+    if (options && options.interrupt) {
+        stopNarration();
+    } else if ((narrationCurrent && narrationCurrent.text === line) || narrationQueue.some(item => item.text === line)) {
+        return true;
+    }
+    narrationQueue.push({ text: line, queuedAt: Date.now() });
+    if (narrationQueue.length > NARRATION_MAX_QUEUE) narrationQueue.splice(0, narrationQueue.length - NARRATION_MAX_QUEUE);
+    speakNextNarration();
+    return true;
+}
+
+function speakNextNarration() {
+    if (narrationCurrent) return;
+    narrationQueue = narrationQueue.filter(item => Date.now() - item.queuedAt <= NARRATION_MAX_WAIT_MS);
+    const item = narrationQueue.shift();
+    if (!item) {
+        duckGameAudio(false);
+        return;
+    }
+
+    const settings = getGameSettings();
+    const utterance = new SpeechSynthesisUtterance(item.text);
+    utterance.rate = settings.speechRate;
+    utterance.volume = settings.masterVolume * settings.narrationVolume;
+    const voice = window.speechSynthesis.getVoices().find(option => option.voiceURI === settings.voice);
+    if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+    }
+    // cancel() ends the old utterance later on, which must not start the queue a second time
+    const finished = () => {
+        if (narrationCurrent !== item) return;
+        narrationCurrent = null;
+        speakNextNarration();
+    };
+    utterance.onend = finished;
+    utterance.onerror = finished;
+    narrationCurrent = item;
+    duckGameAudio(true);
+    window.speechSynthesis.speak(utterance);
+}
+
+function stopNarration() {
+    narrationQueue = [];
+    narrationCurrent = null;
+    duckGameAudio(false);
+    if (narrationAvailable()) window.speechSynthesis.cancel();
+}
+
+// The frame's mixer (game-runtime.js) dips its master volume while ducked
+function duckGameAudio(ducked) {
+    const frameWindow = getCurrentGameWindow();
+    try {
+        if (frameWindow && typeof frameWindow.__setGameVolume === 'function') frameWindow.__setGameVolume({ ducked });
+    } catch (_) {}
+}
+
+// Voices for the settings form: the browser's language first, the saved one kept selected
+function renderNarrationVoices() {
+    const select = document.querySelector('#settings-form select[name="voice"]');
+    if (!select || !narrationAvailable()) return;
+    const language = (navigator.language || 'en').split('-')[0];
+    const voices = window.speechSynthesis.getVoices().slice().sort((a, b) =>
+        (b.lang.startsWith(language) - a.lang.startsWith(language)) || a.name.localeCompare(b.name));
+    select.innerHTML = '<option value="">Default voice</option>' + voices
+        .map(voice => `<option value="${escapeHtml(voice.voiceURI)}">${escapeHtml(`${voice.name} (${voice.lang})`)}</option>`)
+        .join('');
+    select.value = getGameSettings().voice;
+}
+
+window.addEventListener('DOMContentLoaded', function () {
+    const form = document.getElementById('settings-form');
+    if (!form) return;
+    if (!narrationAvailable()) {
+        form.querySelector('.narration-settings').disabled = true;
+        return;
+    }
+    renderNarrationVoices();
+    window.speechSynthesis.addEventListener('voiceschanged', renderNarrationVoices);
+    // Let the player hear a voice or speed as they pick it
+    form.addEventListener('change', event => {
+        if (['voice', 'speechRate', 'narration', 'narrationVolume'].includes(event.target.name)) speakNarration(NARRATION_SAMPLE, { interrupt: true });
+    });
+});
+
+document.addEventListener('visibilitychange', function () {
+    if (document.hidden) stopNarration();
+});
@@ -0,0 +1,464 @@
+// Player profiles for shared devices (classroom tablets). No accounts and no network: each profile is a
+// name and a canvas-drawn avatar, and everything the site remembers for a child - progress, streaks,
+// settings - is kept in localStorage under a key scoped to the active profile, e.g. gotd-progress:p-lx3k2a.
+// A profile can be exported to a JSON file and imported on another device.
+const PROFILES_STORAGE_KEY = 'gotd-profiles';
+const PROFILE_DATA_PREFIX = 'gotd-';
+const PROFILE_EXPORT_FORMAT = 'gotd-profile';
+const PROFILE_NAME_MAX_LENGTH = 24;
+const DEFAULT_PROFILE_ID = 'default';
+
+const PROFILE_AVATARS = {
+    robot: { label: 'Robot', color: '#6c63ff', draw: drawRobotAvatar },
+    cat: { label: 'Cat', color: '#ff9800', draw: drawCatAvatar },
+    owl: { label: 'Owl', color: '#00bcd4', draw: drawOwlAvatar },
+    alien: { label: 'Alien', color: '#9c27b0', draw: drawAlienAvatar },
+    frog: { label: 'Frog', color: '#ffc107', draw: drawFrogAvatar },
+    bear: { label: 'Bear', color: '#e91e63', draw: drawBearAvatar },
+};
+
+function readProfiles() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+        if (saved && Array.isArray(saved.profiles) && saved.profiles.length) return saved;
+    } catch (e) {
+        console.warn('Ignoring unreadable profile list:', e);
+    }
+    // First visit, or a device from before profiles: whatever was saved belongs to the first player
+    const state = {
+        activeId: DEFAULT_PROFILE_ID,
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Player 1', avatar: 'robot', createdAt: new Date().toISOString() }]
+    };
+    migrateUnscopedData(DEFAULT_PROFILE_ID);
+    writeProfiles(state);
+    return state;
+}
+
+function writeProfiles(state) {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(state));
+    } catch (e) {
+        console.warn('Could not save profiles:', e);
+    }
+}
+
+function migrateUnscopedData(profileId) {
+    try {
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(PROFILE_DATA_PREFIX) && key !== PROFILES_STORAGE_KEY && !key.includes(':'))
+            .forEach(key => {
+                localStorage.setItem(`${key}:${profileId}`, localStorage.getItem(key));
+                localStorage.removeItem(key);
+            });
+    } catch (e) {
+        console.warn('Could not move saved data into a profile:', e);
+    }
+}
+
+function getActiveProfile() {
+    const state = readProfiles();
+    return state.profiles.find(profile => profile.id === state.activeId) || state.profiles[0];
+}
+
+function profileDataKey(name, profileId) {
+    return `${PROFILE_DATA_PREFIX}${name}:${profileId || getActiveProfile().id}`;
+}
+
+// Saved data for the active profile (or the given one), e.g. readProfileData('progress', null)
+function readProfileData(name, fallback, profileId) {
+    try {
+        const saved = localStorage.getItem(profileDataKey(name, profileId));
+        return saved === null ? fallback : JSON.parse(saved);
+    } catch (e) {
+        console.warn(`Ignoring unreadable ${name} data:`, e);
+        return fallback;
+    }
+}
+
+function writeProfileData(name, value) {
+    try {
+        localStorage.setItem(profileDataKey(name), JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save ${name} data:`, e);
+    }
+}
+
+// Every saved data name for a profile, e.g. ['progress', 'settings']
+function listProfileData(profileId) {
+    const suffix = `:${profileId}`;
+    try {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(PROFILE_DATA_PREFIX) && key.endsWith(suffix))
+            .map(key => key.slice(PROFILE_DATA_PREFIX.length, -suffix.length));
+    } catch (e) {
+        return [];
+    }
+}
+
+function createProfileId() {
+    return `p-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function cleanProfileName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().slice(0, PROFILE_NAME_MAX_LENGTH);
+}
+
+function createProfile(name, avatar) {
+    const cleanName = cleanProfileName(name);
+    if (!cleanName) throw new Error('Please enter a name');
+    const state = readProfiles();
+    const profile = {
+        id: createProfileId(),
+        name: cleanName,
+        avatar: PROFILE_AVATARS[avatar] ? avatar : 'robot',
+        createdAt: new Date().toISOString()
+    };
+    state.profiles.push(profile);
+    writeProfiles(state);
+    return profile;
+}
+
+function switchProfile(profileId) {
+    const state = readProfiles();
+    if (!state.profiles.some(profile => profile.id === profileId)) return;
+    state.activeId = profileId;
+    writeProfiles(state);
+    onProfileChanged();
+}
+
+function deleteProfile(profileId) {
+    const state = readProfiles();
+    const profile = state.profiles.find(p => p.id === profileId);
+    if (!profile) return;
+    if (state.profiles.length === 1) {
+        setProfileMessage('The last player on this device cannot be deleted.', true);
+        return;
+    }
+    if (!confirm(`Delete ${profile.name} and all of their progress on this device?`)) return;
+
+    listProfileData(profileId).forEach(name => {
+        try { localStorage.removeItem(profileDataKey(name, profileId)); } catch (_) {}
+    });
+    state.profiles = state.profiles.filter(p => p.id !== profileId);
+    if (state.activeId === profileId) state.activeId = state.profiles[0].id;
+    writeProfiles(state);
+    onProfileChanged();
+}
+
+function exportProfile(profileId) {
+    const profile = readProfiles().profiles.find(p => p.id === profileId);
+    if (!profile) return;
+    const data = {};
+    listProfileData(profileId).forEach(name => {
+        try {
+            data[name] = JSON.parse(localStorage.getItem(profileDataKey(name, profileId)));
+        } catch (e) {
+            console.warn(`Leaving unreadable ${name} data out of the export:`, e);
+        }
+    });
+    const exported = {
+        format: PROFILE_EXPORT_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        profile: { id: profile.id, name: profile.name, avatar: profile.avatar, createdAt: profile.createdAt },
+        data
+    };
+
+    downloadFile(`game-of-the-day-${profileFileName(profile)}.json`, JSON.stringify(exported, null, 2), 'application/json');
+}
+
+function profileFileName(profile) {
+    return profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'player';
+}
+
+// Shared with every page that loads this file (index.html, report.html)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function downloadFile(fileName, text, mimeType) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Import a file written by exportProfile. The same child imported again replaces their earlier copy.
+function importProfile(file) {
+    return file.text()
+        .then(text => {
+            let imported;
+            try {
+                imported = JSON.parse(text);
+            } catch (e) {
+                throw new Error('That file is not a profile export');
+            }
+            if (!imported || imported.format !== PROFILE_EXPORT_FORMAT || !imported.profile || typeof imported.data !== 'object') {
+                throw new Error('That file is not a profile export');
+            }
+            const name = cleanProfileName(imported.profile.name);
+            if (!name) throw new Error('The profile in that file has no name');
+
+            const state = readProfiles();
+            const id = /^[\w-]{1,40}$/.test(imported.profile.id) ? imported.profile.id : createProfileId();
+            const existing = state.profiles.find(p => p.id === id);
+            if (existing && !confirm(`Replace ${existing.name}'s progress on this device with the imported copy?`)) {
+                return null;
+            }
+
+            const profile = {
+                id,
+                name,
+                avatar: PROFILE_AVATARS[imported.profile.avatar] ? imported.profile.avatar : 'robot',
+                createdAt: imported.profile.createdAt || new Date().toISOString()
+            };
+            listProfileData(id).forEach(dataName => {
+                try { localStorage.removeItem(profileDataKey(dataName, id)); } catch (_) {}
+            });
+            Object.keys(imported.data)
+                .filter(dataName => /^[\w-]+$/.test(dataName))
+                .forEach(dataName => {
+                    localStorage.setItem(profileDataKey(dataName, id), JSON.stringify(imported.data[dataName]));
+                });
+            state.profiles = existing
+                ? state.profiles.map(p => (p.id === id ? profile : p))
+                : state.profiles.concat(profile);
+            writeProfiles(state);
+            return profile;
+        });
+}
+
+function onProfileChanged() {
+    renderProfileButton();
+    if (document.getElementById('profile-modal').style.display === 'flex') renderProfileList();
+    document.dispatchEvent(new CustomEvent('gotd:profilechange', { detail: getActiveProfile() }));
+}
+
+// UI
+
+function showProfiles() {
+    const modal = document.getElementById('profile-modal');
+    modal.style.display = 'flex';
+    setProfileMessage('');
+    renderProfileList();
+    renderAvatarPicker();
+}
+
+function hideProfiles() {
+    const modal = document.getElementById('profile-modal');
+    modal.style.display = 'none';
+}
+
+function setProfileMessage(message, isError) {
+    const element = document.getElementById('profile-message');
+    element.textContent = message;
+    element.classList.toggle('error', !!isError);
+}
+
+function renderProfileButton() {
+    const profile = getActiveProfile();
+    const button = document.getElementById('profile-button');
+    button.querySelector('.profile-name').textContent = profile.name;
+    button.title = `Playing as ${profile.name} - switch player`;
+    drawAvatar(button.querySelector('canvas'), profile.avatar);
+}
+
+function renderProfileList() {
+    const state = readProfiles();
+    const list = document.getElementById('profile-list');
+    list.innerHTML = state.profiles.map(profile => `
+        <li class="profile-item${profile.id === state.activeId ? ' active' : ''}">
+            <button type="button" class="profile-pick" onclick="switchProfile('${profile.id}')"
+                aria-pressed="${profile.id === state.activeId}">
+                <canvas width="48" height="48" data-avatar="${escapeHtml(profile.avatar)}" aria-hidden="true"></canvas>
+                <span>${escapeHtml(profile.name)}</span>
+            </button>
+            <button type="button" class="metadata-btn" onclick="exportProfile('${profile.id}')">Export</button>
+            <button type="button" class="metadata-btn" onclick="deleteProfile('${profile.id}')">Delete</button>
+        </li>
+    `).join('');
+    list.querySelectorAll('canvas[data-avatar]').forEach(canvas => drawAvatar(canvas, canvas.dataset.avatar));
+}
+
+function renderAvatarPicker() {
+    const picker = document.getElementById('avatar-picker');
+    if (picker.dataset.populated) return;
+    picker.dataset.populated = 'true';
+    picker.innerHTML = Object.keys(PROFILE_AVATARS).map((id, index) => `
+        <label class="avatar-option" title="${PROFILE_AVATARS[id].label}">
+            <input type="radio" name="avatar" value="${id}"${index === 0 ? ' checked' : ''}>
+            <canvas width="48" height="48" data-avatar="${id}" aria-hidden="true"></canvas>
+            <span class="visually-hidden">${PROFILE_AVATARS[id].label}</span>
+        </label>
+    `).join('');
+    picker.querySelectorAll('canvas[data-avatar]').forEach(canvas => drawAvatar(canvas, canvas.dataset.avatar));
+}
+
+function submitNewProfile(form) {
+    try {
+        const profile = createProfile(form.elements.name.value, form.elements.avatar.value);
+        form.reset();
+        switchProfile(profile.id);
+        setProfileMessage(`Now playing as ${profile.name}.`);
+    } catch (e) {
+        setProfileMessage(e.message, true);
+    }
+}
+
+function importProfileFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    importProfile(file)
+        .then(profile => {
+            if (!profile) return;
+            switchProfile(profile.id);
+            setProfileMessage(`Imported ${profile.name}.`);
+        })
+        .catch(error => {
+            console.error('Failed to import profile:', error);
+            setProfileMessage(error.message, true);
+        });
+}
+
+// Avatars are drawn on a 100x100 grid and scaled to the canvas
+
+function drawAvatar(canvas, avatarId) {
+    const avatar = PROFILE_AVATARS[avatarId] || PROFILE_AVATARS.robot;
+    const ctx = canvas.getContext('2d');
+    ctx.save();
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(canvas.width / 100, canvas.height / 100);
+    ctx.fillStyle = avatar.color;
+    ctx.beginPath();
+    ctx.arc(50, 50, 50, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.lineCap = 'round';
+    avatar.draw(ctx);
+    ctx.restore();
+}
+
+function fillCircle(ctx, x, y, radius, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function fillEllipse(ctx, x, y, radiusX, radiusY, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.ellipse(x, y, radiusX, radiusY, 0, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function fillPolygon(ctx, points, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    points.forEach(([x, y], index) => (index ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    ctx.closePath();
+    ctx.fill();
+}
+
+function strokeLines(ctx, lines, color, width) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    lines.forEach(([x1, y1, x2, y2]) => {
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+    });
+    ctx.stroke();
+}
+
+function drawRobotAvatar(ctx) {
+    strokeLines(ctx, [[50, 30, 50, 18]], '#cfd8dc', 3);
+    fillCircle(ctx, 50, 16, 5, '#ff5252');
+    ctx.fillStyle = '#cfd8dc';
+    ctx.fillRect(26, 30, 48, 44);
+    fillCircle(ctx, 40, 47, 7, '#263238');
+    fillCircle(ctx, 60, 47, 7, '#263238');
+    fillCircle(ctx, 42, 45, 2, '#80deea');
+    fillCircle(ctx, 62, 45, 2, '#80deea');
+    ctx.fillStyle = '#263238';
+    ctx.fillRect(38, 61, 24, 5);
+}
+
+function drawCatAvatar(ctx) {
+    fillPolygon(ctx, [[27, 42], [32, 16], [48, 32]], '#ffe0b2');
+    fillPolygon(ctx, [[73, 42], [68, 16], [52, 32]], '#ffe0b2');
+    fillCircle(ctx, 50, 54, 25, '#ffe0b2');
+    fillEllipse(ctx, 41, 50, 3.5, 5, '#3e2723');
+    fillEllipse(ctx, 59, 50, 3.5, 5, '#3e2723');
+    fillPolygon(ctx, [[46, 58], [54, 58], [50, 63]], '#f06292');
+    strokeLines(ctx, [[22, 58, 38, 61], [22, 66, 38, 64], [78, 58, 62, 61], [78, 66, 62, 64]], '#5d4037', 1.5);
+}
+
+function drawOwlAvatar(ctx) {
+    fillPolygon(ctx, [[28, 36], [30, 18], [42, 30]], '#795548');
+    fillPolygon(ctx, [[72, 36], [70, 18], [58, 30]], '#795548');
+    fillEllipse(ctx, 50, 56, 26, 30, '#a1887f');
+    fillCircle(ctx, 39, 47, 11, '#ffffff');
+    fillCircle(ctx, 61, 47, 11, '#ffffff');
+    fillCircle(ctx, 39, 47, 5, '#212121');
+    fillCircle(ctx, 61, 47, 5, '#212121');
+    fillPolygon(ctx, [[45, 59], [55, 59], [50, 68]], '#ff9800');
+}
+
+function drawAlienAvatar(ctx) {
+    strokeLines(ctx, [[40, 30, 32, 14], [60, 30, 68, 14]], '#c5e1a5', 3);
+    fillCircle(ctx, 32, 14, 4, '#c5e1a5');
+    fillCircle(ctx, 68, 14, 4, '#c5e1a5');
+    fillEllipse(ctx, 50, 52, 24, 28, '#c5e1a5');
+    ctx.save();
+    ctx.translate(40, 50);
+    ctx.rotate(0.5);
+    fillEllipse(ctx, 0, 0, 5, 9, '#212121');
+    ctx.restore();
+    ctx.save();
+    ctx.translate(60, 50);
+    ctx.rotate(-0.5);
+    fillEllipse(ctx, 0, 0, 5, 9, '#212121');
+    ctx.restore();
+    strokeLines(ctx, [[45, 68, 55, 68]], '#33691e', 2);
+}
+
+function drawFrogAvatar(ctx) {
+    fillCircle(ctx, 35, 38, 11, '#66bb6a');
+    fillCircle(ctx, 65, 38, 11, '#66bb6a');
+    fillEllipse(ctx, 50, 58, 30, 21, '#66bb6a');
+    fillCircle(ctx, 35, 38, 7, '#ffffff');
+    fillCircle(ctx, 65, 38, 7, '#ffffff');
+    fillCircle(ctx, 36, 39, 3.5, '#1b5e20');
+    fillCircle(ctx, 64, 39, 3.5, '#1b5e20');
+    ctx.strokeStyle = '#1b5e20';
+    ctx.lineWidth = 2.5;
+    ctx.beginPath();
+    ctx.arc(50, 56, 14, 0.2 * Math.PI, 0.8 * Math.PI);
+    ctx.stroke();
+}
+
+function drawBearAvatar(ctx) {
+    fillCircle(ctx, 30, 32, 10, '#8d6e63');
+    fillCircle(ctx, 70, 32, 10, '#8d6e63');
+    fillCircle(ctx, 30, 32, 5, '#d7ccc8');
+    fillCircle(ctx, 70, 32, 5, '#d7ccc8');
+    fillCircle(ctx, 50, 54, 26, '#8d6e63');
+    fillEllipse(ctx, 50, 63, 12, 9, '#d7ccc8');
+    fillEllipse(ctx, 50, 59, 4.5, 3.5, '#3e2723');
+    fillCircle(ctx, 40, 48, 3.5, '#3e2723');
+    fillCircle(ctx, 60, 48, 3.5, '#3e2723');
+}
+
+window.addEventListener('DOMContentLoaded', function () {
+    // report.html reads profiles without the player switcher
+    if (document.getElementById('profile-button')) renderProfileButton();
+});
@@ -0,0 +1,253 @@
+// Math question library for games, loaded into the game frame before game-runtime.js and exposed to
+// games as window.GameOfTheDay.questions. Every question comes with its answer worked out here, a
+// skill tag matching the learning events and plausible, distinct wrong answers, so games do not have
+// to write (and get wrong) their own question code:
+//
+//   const questions = window.GameOfTheDay.questions.createGenerator('2025-11-21');
+//   const q = questions.next('addition', { range: [10, 50], regrouping: true });
+//   // { id, type: 'addition', skill: 'addition', text: '27 + 15 = ?', answer: 42,
+//   //   distractors: [32, 43, 52], choices: [43, 42, 32, 52] }
+//   questions.isCorrect(q, playerAnswer);
+//
+// The same seed always produces the same questions. Options: range [min, max] for operands (or
+// difficulty, the object from GameOfTheDay.getDifficulty), factorRange for multiplication,
+// regrouping true/false for addition and subtraction, step for skip counting, choices (default 4).
+(() => {
+  const DEFAULT_RANGE = [1, 20];
+  const DEFAULT_FACTOR_RANGE = [2, 10];
+  const DEFAULT_CHOICES = 4;
+  const RECENT_LIMIT = 10; // the same question is not repeated within this many
+  const MAX_ATTEMPTS = 50;
+
+  // mulberry32, started from an FNV-1a hash of the seed so strings and numbers both work
+  function createRandom(seed) {
+    let state = 2166136261;
+    String(seed).split('').forEach((ch) => {
+      state = Math.imul(state ^ ch.charCodeAt(0), 16777619);
+    });
+    return function random() {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function createTools(random) {
+    const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const shuffle = (items) => {
+      const copy = items.slice();
+      for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+      }
+      return copy;
+    };
+    return { int, pick, shuffle };
+  }
+
+  // Digit by digit without carrying (27 + 15 -> 32), the classic regrouping mistake
+  function addWithoutCarry(a, b) {
+    let result = 0;
+    for (let place = 1; a >= place || b >= place; place *= 10) {
+      result += ((Math.floor(a / place) % 10 + Math.floor(b / place) % 10) % 10) * place;
+    }
+    return result;
+  }
+
+  // Smaller digit from larger in every place (42 - 17 -> 35), the classic borrowing mistake
+  function subtractSmallerFromLarger(a, b) {
+    let result = 0;
+    for (let place = 1; a >= place || b >= place; place *= 10) {
+      result += Math.abs(Math.floor(a / place) % 10 - Math.floor(b / place) % 10) * place;
+    }
+    return result;
+  }
+
+  const onesRegroup = (a, b) => a % 10 + b % 10 >= 10;
+  const onesBorrow = (a, b) => a % 10 < b % 10;
+
+  // Each generator returns { text, answer, mistakes } where mistakes are likely wrong answers, best first
+  const GENERATORS = {
+    addition: {
+      skill: 'addition',
+      create({ int }, { range, regrouping }) {
+        let a, b;
+        for (let i = 0; i < MAX_ATTEMPTS; i++) {
+          a = int(range[0], range[1]);
+          b = int(range[0], range[1]);
+          if (regrouping === undefined || onesRegroup(a, b) === regrouping) break;
+        }
+        const sum = a + b;
+        return { text: `${a} + ${b} = ?`, answer: sum, mistakes: [addWithoutCarry(a, b), sum + 1, sum - 1, sum + 10, sum - 10, Math.abs(a - b)] };
+      },
+    },
+    subtraction: {
+      skill: 'subtraction',
+      create({ int }, { range, regrouping }) {
+        let a, b;
+        for (let i = 0; i < MAX_ATTEMPTS; i++) {
+          a = int(range[0], range[1]);
+          b = int(range[0], range[1]);
+          if (a < b) [a, b] = [b, a];
+          if (regrouping === undefined || onesBorrow(a, b) === regrouping) break;
+        }
+        const difference = a - b;
+        return { text: `${a} - ${b} = ?`, answer: difference, mistakes: [subtractSmallerFromLarger(a, b), difference + 1, difference - 1, difference + 10, difference - 10, a + b] };
+      },
+    },
+    'missing-addend': {
+      skill: 'addition',
+      create({ int }, { range }) {
+        const a = int(range[0], range[1]);
+        const b = int(range[0], range[1]);
+        return { text: `${a} + ? = ${a + b}`, answer: b, mistakes: [a + b + a, b + 1, b - 1, a, b + 10] };
+      },
+    },
+    'skip-counting': {
+      skill: 'patterns',
+      create({ int, pick }, { step }) {
+        const by = step || pick([2, 5, 10]);
+        const start = by * int(0, 6);
+        const shown = [0, 1, 2].map((i) => start + by * i);
+        const answer = start + by * 3;
+        return { text: `Count by ${by}s: ${shown.join(', ')}, ?`, answer, mistakes: [answer - by, answer + by, answer + 1, answer - 1, answer + 10] };
+      },
+    },
+    'number-pattern': {
+      skill: 'patterns',
+      create({ int }, { range }) {
+        const length = 5;
+        // Keep every term within range and above zero: the step fits length - 1 times into the range.
+        // A range narrower than the pattern itself is widened upwards, counting by ones.
+        const low = Math.max(1, range[0]);
+        const high = Math.max(low + length - 1, range[1]);
+        const maxStep = Math.max(1, Math.min(9, Math.floor((high - low) / (length - 1))));
+        const step = int(1, maxStep) * (int(0, 3) === 0 ? -1 : 1);
+        const start = int(low + Math.max(0, -step) * (length - 1), high - Math.max(0, step) * (length - 1));
+        const terms = Array.from({ length }, (_, i) => start + step * i);
+        const missing = int(1, length - 1);
+        const answer = terms[missing];
+        const text = terms.map((term, i) => (i === missing ? '?' : term)).join(', ');
+        return { text, answer, mistakes: [answer + step, answer - step, answer + 1, answer - 1, answer + 10] };
+      },
+    },
+    'place-value': {
+      skill: 'place value',
+      create({ int, pick }, { range }) {
+        const number = int(Math.min(89, Math.max(11, range[0])), Math.max(19, Math.min(99, range[1])));
+        const tens = Math.floor(number / 10);
+        const ones = number % 10;
+        if (pick([true, false])) {
+          return { text: `How many tens are in ${number}?`, answer: tens, mistakes: [ones, number, tens * 10, tens + 1, tens - 1] };
+        }
+        return { text: `${tens} tens and ${ones} ones = ?`, answer: number, mistakes: [ones * 10 + tens, tens + ones, tens * 100 + ones, number + 10, number + 1] };
+      },
+    },
+    comparison: {
+      skill: 'comparison',
+      create({ int }, { range }) {
+        const a = int(range[0], range[1]);
+        // Equal numbers now and then, so '=' is a real option
+        const b = int(0, 9) === 0 ? a : int(range[0], range[1]);
+        const answer = a > b ? '>' : a < b ? '<' : '=';
+        return { text: `${a} ? ${b}`, answer, mistakes: ['<', '>', '='], fixedChoices: true };
+      },
+    },
+    multiplication: {
+      skill: 'multiplication',
+      create({ int }, { factorRange }) {
+        const a = int(factorRange[0], factorRange[1]);
+        const b = int(factorRange[0], factorRange[1]);
+        const product = a * b;
+        return { text: `${a} × ${b} = ?`, answer: product, mistakes: [a * (b + 1), a * (b - 1), (a + 1) * b, a + b, product + 1] };
+      },
+    },
+  };
+
+  function normalizeOptions(options) {
+    const difficulty = options.difficulty || {};
+    const range = options.range || difficulty.operandRange || DEFAULT_RANGE;
+    const factorRange = options.factorRange || difficulty.factorRange || DEFAULT_FACTOR_RANGE;
+    return {
+      range: [Math.min(range[0], range[1]), Math.max(range[0], range[1])],
+      factorRange: [Math.min(factorRange[0], factorRange[1]), Math.max(factorRange[0], factorRange[1])],
+      regrouping: typeof options.regrouping === 'boolean' ? options.regrouping : undefined,
+      step: Number.isInteger(options.step) && options.step > 0 ? options.step : undefined,
+      choices: Math.max(2, Math.min(6, options.choices || DEFAULT_CHOICES)),
+    };
+  }
+
+  // Wrong answers: the likely mistakes first, then nearby numbers, never the answer, a repeat or below zero
+  function pickDistractors(tools, question, count) {
+    if (question.fixedChoices) return question.mistakes.filter((choice) => choice !== question.answer);
+    const distractors = [];
+    const add = (value) => {
+      if (Number.isInteger(value) && value >= 0 && value !== question.answer && !distractors.includes(value)) {
+        distractors.push(value);
+      }
+    };
+    question.mistakes.slice(0, 2).forEach(add);
+    tools.shuffle(question.mistakes.slice(2)).forEach(add);
+    for (let offset = 2; distractors.length < count; offset++) {
+      add(question.answer + offset);
+      add(question.answer - offset);
+    }
+    return distractors.slice(0, count);
+  }
+
+  function createGenerator(seed) {
+    const generatorSeed = seed === undefined ? Math.floor(Math.random() * 2 ** 32) : seed;
+    const random = createRandom(generatorSeed);
+    const tools = createTools(random);
+    const recent = [];
+    let count = 0;
+
+    function next(type, options) {
+      const generator = GENERATORS[type];
+      if (!generator) {
+        throw new TypeError(`Unknown question type "${type}". Use one of: ${Object.keys(GENERATORS).join(', ')}`);
+      }
+      const settings = normalizeOptions(options || {});
+      let question;
+      for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        question = generator.create(tools, settings);
+        if (!recent.includes(question.text)) break;
+      }
+      recent.push(question.text);
+      if (recent.length > RECENT_LIMIT) recent.shift();
+
+      const distractors = pickDistractors(tools, question, settings.choices - 1);
+      count++;
+      return {
+        id: `${type}-${count}`,
+        type,
+        skill: generator.skill,
+        text: question.text,
+        answer: question.answer,
+        distractors,
+        choices: tools.shuffle([question.answer].concat(distractors)),
+      };
+    }
+
+    return { seed: generatorSeed, next, isCorrect };
+  }
+
+  function isCorrect(question, value) {
+    if (typeof question.answer === 'number') return Number(String(value).trim()) === question.answer;
+    return String(value).trim() === question.answer;
+  }
+
+  window.GameOfTheDayQuestions = {
+    types: Object.keys(GENERATORS),
+    createGenerator,
+    isCorrect,
+    // The seeded random number source itself; game-runtime.js seeds Math.random with it for replays
+    createRandom,
+    // One question without keeping a generator around; pass options.seed to reproduce it
+    generate(type, options) {
+      return createGenerator(options && options.seed).next(type, options);
+    },
+  };
+})();
@@ -0,0 +1,114 @@
+// Session replays, so a parent or teacher can watch exactly how a child played, or a bug can be shown
+// rather than described. Recording restarts the current game with a seeded Math.random and a stepped
+// clock (game-runtime.js logs every frame, timer and input with its time); stopping downloads the log:
+//
+//   { format: 'gotd-replay', version: 1, game, recordedAt, durationMs, seed, epoch, start,
+//     values: { difficulty: [...], settings: [...] }, ticks: [16.7, [3.2, 'keydown', [1, 0], { key: 'a' }], ...] }
+//
+// Playing a file back mounts its game and hands it the same ticks at the same pace. A replay writes no
+// progress or answers, and the player's input is ignored until it ends.
+const REPLAY_FORMAT = 'gotd-replay';
+const REPLAY_VERSION = 1;
+
+let replayGameName = '';
+let pendingReplaySession = null;
+let activeReplayMode = null; // null, 'record' or 'play'
+
+// Called by mountGameFrame: the session the new frame will ask for, or null to just play
+function prepareGameReplay(gameName, session) {
+    replayGameName = gameName;
+    pendingReplaySession = session || null;
+    activeReplayMode = pendingReplaySession ? pendingReplaySession.mode : null;
+    setReplayStatus(activeReplayMode === 'record' ? 'Recording…' : activeReplayMode === 'play' ? `Replaying ${gameName}…` : '');
+    renderReplayControls();
+}
+
+// Handed over once, so a reload of the same frame plays normally
+function takeReplaySession() {
+    const session = pendingReplaySession;
+    pendingReplaySession = null;
+    return session;
+}
+
+function toggleReplayRecording() {
+    const gameStage = document.getElementById('game-of-the-day-stage');
+    if (!gameStage || !replayGameName) return;
+    if (activeReplayMode !== 'record') {
+        const gameName = replayGameName;
+        window.__cleanupCurrentGame().then(() => mountGameFrame(gameStage, gameName, { mode: 'record' }));
+        return;
+    }
+
+    let replay = null;
+    try {
+        const frameWindow = getCurrentGameWindow();
+        replay = frameWindow && frameWindow.__gameReplay ? frameWindow.__gameReplay.stop() : null;
+    } catch (error) {
+        console.error('Failed to stop the recording:', error);
+    }
+    activeReplayMode = null;
+    renderReplayControls();
+    if (!replay) {
+        setReplayStatus('Nothing was recorded.', true);
+        return;
+    }
+    const time = replay.recordedAt.replace(/[:.]/g, '-');
+    downloadFile(`replay-${replay.game}-${time}.json`, JSON.stringify(replay), 'application/json');
+    setReplayStatus(`Saved a ${Math.round(replay.durationMs / 1000)}s replay of ${replay.game}.`);
+}
+
+// onchange of the Play Replay file input
+function playReplayFile(input) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+    file.text()
+        .then(text => {
+            let replay;
+            try {
+                replay = JSON.parse(text);
+            } catch (e) {
+                throw new Error('That file is not a replay');
+            }
+            if (!replay || replay.format !== REPLAY_FORMAT || typeof replay.game !== 'string' || !Array.isArray(replay.ticks) ||
+                !Number.isFinite(replay.seed) || !Number.isFinite(replay.epoch) || !Number.isFinite(replay.start)) {
+                throw new Error('That file is not a replay');
+            }
+            if (replay.version !== REPLAY_VERSION) throw new Error('That replay was made by a different version of the site');
+
+            const gameStage = document.getElementById('game-of-the-day-stage');
+            return window.__cleanupCurrentGame().then(() => mountGameFrame(gameStage, replay.game, { mode: 'play', replay }));
+        })
+        .catch(error => {
+            console.error('Failed to play replay:', error);
+            setReplayStatus(error.message, true);
+        });
+}
+
+// Called by the frame when every tick has been played
+function finishReplay(summary) {
+    if (activeReplayMode !== 'play') return;
+    activeReplayMode = null;
+    renderReplayControls();
+    setReplayStatus(summary && summary.mismatches
+        ? `Replay finished, but ${summary.mismatches} step${summary.mismatches === 1 ? '' : 's'} did not match; the game may have changed since it was recorded.`
+        : 'Replay finished.');
+}
+
+function setReplayStatus(message, isError) {
+    const status = document.getElementById('replay-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', !!isError);
+}
+
+function renderReplayControls() {
+    const toggle = document.getElementById('replay-record-toggle');
+    if (!toggle) return;
+    const recording = activeReplayMode === 'record';
+    toggle.setAttribute('aria-pressed', String(recording));
+    toggle.textContent = recording ? '⏹ Stop Recording' : '⏺ Record';
+    toggle.disabled = activeReplayMode === 'play';
+}
+
+window.addEventListener('DOMContentLoaded', renderReplayControls);
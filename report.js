@@ -0,0 +1,253 @@
+// Learning report for parents and teachers: skill mastery, accuracy over time, time spent and the facts a
+// child keeps missing, computed from what this browser stored for a player (profiles.js, learning-events.js
+// and the progress store in script.js). Nothing is fetched, so the page works offline and prints as is.
+const MASTERY_LEVELS = [
+    { min: 0.9, label: 'Mastered', className: 'good' },
+    { min: 0.7, label: 'Practising', className: 'ok' },
+    { min: 0, label: 'Needs help', className: 'bad' }
+];
+const MIN_ANSWERS_FOR_MASTERY = 5;
+const TREND_DAYS = 7;
+const MAX_MISSED_FACTS = 12;
+const MAX_TIME_DAYS = 30;
+
+let reportAnswers = [];
+let reportProgress = null;
+
+window.addEventListener('DOMContentLoaded', function () {
+    const state = readProfiles();
+    const select = document.getElementById('report-profile');
+    select.innerHTML = state.profiles
+        .map(profile => `<option value="${profile.id}"${profile.id === state.activeId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`)
+        .join('');
+    select.addEventListener('change', () => renderReport(select.value));
+    document.getElementById('trend-skill').addEventListener('change', renderCharts);
+    renderReport(select.value);
+});
+
+// Charts are drawn at the canvas's CSS size, so redraw when the layout changes (and for print)
+let resizeTimer = null;
+window.addEventListener('resize', function () {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(renderCharts, 150);
+});
+// Printed pages are white, so axis text and grid lines switch to dark for the print
+const SCREEN_CHART_COLORS = { text: CHART_COLORS.text, grid: CHART_COLORS.grid };
+window.addEventListener('beforeprint', function () {
+    Object.assign(CHART_COLORS, { text: '#333333', grid: 'rgba(0, 0, 0, 0.15)' });
+    renderCharts();
+});
+window.addEventListener('afterprint', function () {
+    Object.assign(CHART_COLORS, SCREEN_CHART_COLORS);
+    renderCharts();
+});
+
+// Local calendar day, matching how the progress store counts days
+function localDay(isoTime) {
+    const date = new Date(isoTime);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function accuracy(answers) {
+    return answers.length ? answers.filter(answer => answer.correct).length / answers.length : null;
+}
+
+function percent(value) {
+    return value === null ? '–' : `${Math.round(value * 100)}%`;
+}
+
+function renderReport(profileId) {
+    const events = loadLearningEvents(profileId);
+    reportAnswers = events.filter(event => event.type === 'answer_submitted');
+    reportProgress = readProfileData('progress', null, profileId) || { games: {}, days: {} };
+
+    const profile = readProfiles().profiles.find(p => p.id === profileId);
+    document.getElementById('report-player').textContent =
+        `${profile.name} · report from ${new Date().toLocaleDateString()}`;
+    document.getElementById('report-empty').hidden = reportAnswers.length > 0;
+
+    renderSummary(events);
+    renderSkillTable();
+    renderDifficultyLevels(profileId);
+    renderMissedFacts();
+    populateTrendSkills();
+    renderCharts();
+}
+
+function renderSummary(events) {
+    const games = Object.values(reportProgress.games);
+    const timePlayed = games.reduce((sum, game) => sum + (game.timePlayedMs || 0), 0);
+    const days = new Set(events.map(event => localDay(event.time)).concat(Object.keys(reportProgress.days)));
+    const overall = accuracy(reportAnswers);
+    const inferred = reportAnswers.filter(answer => answer.inferred).length;
+
+    document.getElementById('report-summary').innerHTML = `
+        <div class="stat">
+            <span class="stat-value">${reportAnswers.length}</span>
+            <span class="stat-label">questions answered${inferred ? ` (${inferred} read from game announcements)` : ''}</span>
+        </div>
+        <div class="stat ${overall === null ? '' : overall >= 0.7 ? 'good' : 'bad'}">
+            <span class="stat-value">${percent(overall)}</span>
+            <span class="stat-label">answered correctly</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">${formatDuration(timePlayed)}</span>
+            <span class="stat-label">time played</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">${days.size}</span>
+            <span class="stat-label">days played</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">${games.reduce((sum, game) => sum + (game.wins || 0), 0)}</span>
+            <span class="stat-label">games won</span>
+        </div>
+        <div class="stat">
+            <span class="stat-value">${events.filter(event => event.type === 'hint_used').length}</span>
+            <span class="stat-label">hints used</span>
+        </div>
+    `;
+}
+
+function groupBySkill(answers) {
+    const groups = new Map();
+    answers.forEach(answer => {
+        const skill = answer.skill || 'other';
+        if (!groups.has(skill)) groups.set(skill, []);
+        groups.get(skill).push(answer);
+    });
+    return [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+}
+
+function masteryLevel(answers) {
+    if (answers.length < MIN_ANSWERS_FOR_MASTERY) return { label: 'Not enough answers yet', className: '' };
+    const value = accuracy(answers);
+    return MASTERY_LEVELS.find(level => value >= level.min);
+}
+
+// Accuracy over the last TREND_DAYS days against everything before, in percentage points
+function describeTrend(answers) {
+    const cutoff = Date.now() - TREND_DAYS * 24 * 60 * 60 * 1000;
+    const recent = answers.filter(answer => new Date(answer.time).getTime() >= cutoff);
+    const earlier = answers.filter(answer => new Date(answer.time).getTime() < cutoff);
+    if (!recent.length || !earlier.length) return '<span class="trend">–</span>';
+    const change = Math.round((accuracy(recent) - accuracy(earlier)) * 100);
+    if (change === 0) return '<span class="trend">no change</span>';
+    return change > 0
+        ? `<span class="trend up">▲ ${change} pts</span>`
+        : `<span class="trend down">▼ ${-change} pts</span>`;
+}
+
+function renderSkillTable() {
+    const rows = groupBySkill(reportAnswers).map(([skill, answers]) => {
+        const value = accuracy(answers);
+        const level = masteryLevel(answers);
+        return `
+            <tr>
+                <td class="skill-name">${escapeHtml(skill)}</td>
+                <td>${answers.length}</td>
+                <td class="accuracy-cell"><span class="accuracy-bar" style="width: ${value * 100}%"></span>${percent(value)}</td>
+                <td>${describeTrend(answers)}</td>
+                <td><span class="mastery ${level.className}">${level.label}</span></td>
+            </tr>
+        `;
+    });
+    document.getElementById('skill-table').innerHTML = rows.length
+        ? rows.join('')
+        : '<tr><td colspan="5">No answers recorded yet.</td></tr>';
+}
+
+function renderDifficultyLevels(profileId) {
+    const levels = Object.entries(getDifficultyLevels(profileId));
+    document.getElementById('level-note').textContent = levels.length
+        ? `Game difficulty now: ${levels.map(([skill, level]) => `${skill} level ${level} of ${DIFFICULTY_LEVELS.length}`).join(', ')}. ` +
+          'Levels move up after mostly correct answers and down after mostly wrong ones.'
+        : `Games start at difficulty level ${DEFAULT_DIFFICULTY_LEVEL} of ${DIFFICULTY_LEVELS.length} and adjust as the child plays.`;
+}
+
+// Facts missed at least twice, or missed more often than not
+function renderMissedFacts() {
+    const facts = new Map();
+    reportAnswers.forEach(answer => {
+        if (!answer.question) return;
+        const key = answer.question.trim();
+        const fact = facts.get(key) || { question: key, skill: answer.skill, attempts: 0, missed: 0, wrongAnswers: new Map(), expected: null, last: null };
+        fact.attempts++;
+        if (!answer.correct) {
+            fact.missed++;
+            if (answer.answer !== null && answer.answer !== undefined && answer.answer !== '') {
+                fact.wrongAnswers.set(String(answer.answer), (fact.wrongAnswers.get(String(answer.answer)) || 0) + 1);
+            }
+        }
+        if (answer.expected !== undefined && answer.expected !== null) fact.expected = answer.expected;
+        fact.last = answer.time;
+        facts.set(key, fact);
+    });
+
+    const missed = [...facts.values()]
+        .filter(fact => fact.missed >= 2 || (fact.missed && fact.missed / fact.attempts > 0.5))
+        .sort((a, b) => b.missed - a.missed || b.last.localeCompare(a.last))
+        .slice(0, MAX_MISSED_FACTS);
+
+    document.getElementById('missed-table').innerHTML = missed.length
+        ? missed.map(fact => {
+            const usual = [...fact.wrongAnswers.entries()].sort((a, b) => b[1] - a[1])[0];
+            return `
+                <tr>
+                    <td class="fact">${escapeHtml(fact.question)}</td>
+                    <td>${escapeHtml(fact.skill || 'other')}</td>
+                    <td>${fact.missed} of ${fact.attempts}</td>
+                    <td>${usual ? escapeHtml(usual[0]) : '–'}</td>
+                    <td>${fact.expected === null ? '–' : escapeHtml(fact.expected)}</td>
+                </tr>
+            `;
+        }).join('')
+        : '<tr><td colspan="5">Nothing missed more than once. 🎉</td></tr>';
+}
+
+function populateTrendSkills() {
+    const select = document.getElementById('trend-skill');
+    const current = select.value;
+    const skills = groupBySkill(reportAnswers).map(([skill]) => skill);
+    select.innerHTML = '<option value="">All skills</option>' +
+        skills.map(skill => `<option value="${escapeHtml(skill)}">${escapeHtml(skill)}</option>`).join('');
+    select.value = skills.includes(current) ? current : '';
+}
+
+function renderCharts() {
+    if (!reportProgress) return;
+    const skill = document.getElementById('trend-skill').value;
+    const answers = skill ? reportAnswers.filter(answer => (answer.skill || 'other') === skill) : reportAnswers;
+    const byDay = new Map();
+    answers.forEach(answer => {
+        const day = localDay(answer.time);
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push(answer);
+    });
+    const days = [...byDay.keys()].sort();
+    drawLineChart(document.getElementById('chart-accuracy'), {
+        labels: days.length ? days : [''],
+        values: days.map(day => accuracy(byDay.get(day)) * 100),
+        maxValue: 100,
+        formatValue: value => `${Math.round(value)}%`,
+        showEveryLabel: days.length <= 8
+    });
+
+    const timeByDay = reportProgress.timeByDay || {};
+    const timeDays = Object.keys(timeByDay).sort().slice(-MAX_TIME_DAYS);
+    drawBarChart(document.getElementById('chart-time'), {
+        labels: timeDays.length ? timeDays : [''],
+        series: [{ name: 'minutes', color: CHART_COLORS.pass, values: timeDays.length ? timeDays.map(day => timeByDay[day] / 60000) : [0] }],
+        formatValue: value => `${Math.round(value)} min`,
+        showEveryLabel: timeDays.length <= 8
+    });
+    document.getElementById('time-note').textContent = timeDays.length
+        ? `Last ${timeDays.length} day${timeDays.length === 1 ? '' : 's'} with play time. Paused games do not count.`
+        : 'No play time recorded per day yet.';
+}
@@ -5,290 +5,541 @@ document.addEventListener('keydown', function (e) {
     }
 });
 
-// Global audio management: ensure previous games' audio never continues after switching
-(() => {
-  try {
-    // Create a registry to track and disable AudioContexts created by games
-    const originalAudioContext = window.AudioContext || window.webkitAudioContext;
-    if (!originalAudioContext) return; // Nothing to patch on very old browsers
-
-    const disabledContexts = new WeakSet();
-    const activeContexts = new Set();
-    const activeMediaEls = new Set();
-
-    // Expose cleanup so loader can silence all previous game audio
-    window.__cleanupAllGameAudio = async function cleanupAllGameAudio() {
-      try {
-        const ops = [];
-        activeContexts.forEach((ctx) => {
-          try {
-            // Mark as disabled first so any future resume() calls no-op
-            disabledContexts.add(ctx);
-            // Suspend to silence immediately without tearing down graphs
-            ops.push(Promise.resolve().then(() => ctx.suspend()).catch(() => {}));
-          } catch (_) {}
-        });
-        await Promise.allSettled(ops);
-        // Also pause/rewind any HTML media elements that were played
-        activeMediaEls.forEach((el) => {
-          try {
-            el.pause();
-            el.currentTime = 0;
-          } catch (_) {}
-        });
-      } catch (_) {}
-    };
+// Games run inside a sandboxed same-origin iframe (game-frame.html + game-runtime.js) with its own
+// #game-of-the-day-stage, so a broken game can never touch the host page. Removing the frame tears
+// down every listener, timer, RAF loop and audio context the game created.
+const GAME_FRAME_WIDTH = 720;
+const GAME_FRAME_HEIGHT = 480;
 
-    // Wrapper constructor that registers each created context
-    function PatchedAudioContext(...args) {
-      const Ctor = originalAudioContext; // AudioContext
-      const ctx = new Ctor(...args);
-      activeContexts.add(ctx);
-      // Harden resume/close per instance
-      try {
-        const originalResume = ctx.resume && ctx.resume.bind(ctx);
-        if (originalResume) {
-          ctx.resume = function() {
-            if (disabledContexts.has(ctx)) return Promise.resolve();
-            return originalResume();
-          };
-        }
-      } catch (_) {}
-      try {
-        const originalClose = ctx.close && ctx.close.bind(ctx);
-        if (originalClose) {
-          ctx.close = function() {
-            disabledContexts.add(ctx);
-            activeContexts.delete(ctx);
-            return originalClose();
-          };
-        }
-      } catch (_) {}
-      return ctx;
+// replay, when given, records the game or plays a recording back (replay.js)
+function mountGameFrame(gameStage, gameName, replay) {
+    const frame = document.createElement('iframe');
+    frame.className = 'game-frame';
+    frame.title = 'Game of the Day';
+    frame.width = GAME_FRAME_WIDTH;
+    frame.height = GAME_FRAME_HEIGHT;
+    // allow-modals keeps legacy games that still call prompt()/alert() playable
+    frame.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-modals');
+    frame.setAttribute('allow', 'autoplay');
+    frame.src = `game-frame.html?game=${encodeURIComponent(gameName)}`;
+    loadGameControls(gameName);
+    prepareGameReplay(gameName, replay);
+    frame.addEventListener('load', () => {
+        // Hand keyboard focus to the game so arrow keys reach it
+        try { frame.focus(); } catch (_) {}
+        try { frame.contentWindow.addEventListener('blur', pauseIfPageLostFocus); } catch (_) {}
+        applySwitchScanning();
+    });
+    // A new game starts unpaused; its overlay goes with the old frame
+    gamePausedByHost = false;
+    renderPauseToggle();
+    gameStage.innerHTML = '';
+    gameStage.appendChild(frame);
+    return frame;
+}
+
+// How long a game's (possibly async) destroy() gets before its frame is detached anyway
+const GAME_CLEANUP_TIMEOUT_MS = 500;
+
+// Tear down the current game: let the frame silence itself, then detach it. Resolves once the frame
+// is gone, so callers wait for it before touching the stage or mounting the next game.
+window.__cleanupCurrentGame = function cleanupCurrentGame() {
+    const stage = document.getElementById('game-of-the-day-stage');
+    if (!stage) return Promise.resolve();
+    stopNarration();
+    const closing = Array.from(stage.querySelectorAll('iframe.game-frame')).map((frame) => {
+        // A second call while the frame is closing waits on the same teardown
+        if (frame.__closing) return frame.__closing;
+        // Out of getCurrentGameWindow's reach straight away, so controls stop driving it
+        frame.dataset.closing = '';
+        let frameCleanup = null;
+        try {
+            const frameWindow = frame.contentWindow;
+            if (frameWindow && typeof frameWindow.__cleanupCurrentGame === 'function') {
+                frameCleanup = frameWindow.__cleanupCurrentGame();
+            }
+        } catch (_) {}
+        frame.__closing = Promise.race([
+            Promise.resolve(frameCleanup).catch(() => {}),
+            new Promise(resolve => setTimeout(resolve, GAME_CLEANUP_TIMEOUT_MS))
+        ]).then(() => frame.remove());
+        return frame.__closing;
+    });
+    return Promise.all(closing).then(() => {});
+};
+
+// Lifecycle controls for whatever game is mounted (see GameOfTheDay.register in game-runtime.js).
+// Wrappers and overlays built around the stage should go through these rather than the frame.
+function getCurrentGameWindow() {
+    const frame = document.querySelector('#game-of-the-day-stage iframe.game-frame:not([data-closing])');
+    try {
+        return (frame && frame.contentWindow) || null;
+    } catch (_) {
+        return null;
     }
+}
 
-    // Patch global constructors
-    if (window.AudioContext) {
-      window.AudioContext = PatchedAudioContext;
+function getCurrentGameLifecycle() {
+    const frameWindow = getCurrentGameWindow();
+    try {
+        return (frameWindow && frameWindow.__gameLifecycle) || null;
+    } catch (_) {
+        return null;
     }
-    if (window.webkitAudioContext) {
-      window.webkitAudioContext = PatchedAudioContext;
+}
+
+// Synthesized keyboard input for the mounted game, used by the on-screen controls (touch-controls.js)
+// and gamepads. Keys are KeyboardEvent.key values; code and the legacy keyCode are filled in so games
+// that read any of the three see a real-looking key press.
+const NAMED_GAME_KEYS = {
+    ArrowUp: ['ArrowUp', 38],
+    ArrowDown: ['ArrowDown', 40],
+    ArrowLeft: ['ArrowLeft', 37],
+    ArrowRight: ['ArrowRight', 39],
+    ' ': ['Space', 32],
+    Enter: ['Enter', 13],
+    Escape: ['Escape', 27],
+    Backspace: ['Backspace', 8],
+    Tab: ['Tab', 9],
+    Shift: ['ShiftLeft', 16]
+};
+// The two ways games move: a game's controls pick one with "dpad": "arrows" | "wasd"
+const GAME_DIRECTION_KEYS = {
+    arrows: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' },
+    wasd: { up: 'w', down: 's', left: 'a', right: 'd' }
+};
+
+function describeGameKey(key) {
+    if (key === 'Space' || key === 'Spacebar') key = ' ';
+    if (NAMED_GAME_KEYS[key]) return { key, code: NAMED_GAME_KEYS[key][0], keyCode: NAMED_GAME_KEYS[key][1] };
+    if (/^[a-z]$/i.test(key)) {
+        return { key: key.toLowerCase(), code: `Key${key.toUpperCase()}`, keyCode: key.toUpperCase().charCodeAt(0) };
     }
+    if (/^[0-9]$/.test(key)) return { key, code: `Digit${key}`, keyCode: key.charCodeAt(0) };
+    return null;
+}
 
-    // Patch HTMLMediaElement play/pause to track any media used by games (defensive)
+function sendGameKey(type, key, repeat) {
+    const frameWindow = getCurrentGameWindow();
+    const info = describeGameKey(key);
+    if (!frameWindow || !info) return false;
     try {
-      const HME = window.HTMLMediaElement && window.HTMLMediaElement.prototype;
-      if (HME) {
-        const originalPlay = HME.play;
-        const originalPause = HME.pause;
-        if (originalPlay) {
-          HME.play = function() {
-            try { activeMediaEls.add(this); } catch (_) {}
-            return originalPlay.apply(this, arguments);
-          };
-        }
-        if (originalPause) {
-          HME.pause = function() {
-            try { activeMediaEls.delete(this); } catch (_) {}
-            return originalPause.apply(this, arguments);
-          };
-        }
-      }
-    } catch (_) {}
+        const frameDocument = frameWindow.document;
+        const event = new frameWindow.KeyboardEvent(type, { key: info.key, code: info.code, repeat: !!repeat, bubbles: true, cancelable: true });
+        // KeyboardEvent ignores keyCode/which in its options, but older games still read them
+        Object.defineProperty(event, 'keyCode', { get: () => info.keyCode });
+        Object.defineProperty(event, 'which', { get: () => info.keyCode });
+        (frameDocument.activeElement || frameDocument.body).dispatchEvent(event);
+        return true;
+    } catch (error) {
+        console.error(error);
+        return false;
+    }
+}
 
-    // Patch resume so disabled contexts cannot be resumed by old game listeners
-    const resumeProto = originalAudioContext && originalAudioContext.prototype && originalAudioContext.prototype.resume;
-    if (resumeProto) {
-      const patchedResume = function () {
-        if (disabledContexts.has(this)) {
-          // Pretend resume succeeded, but keep it silent
-          return Promise.resolve();
-        }
-        return resumeProto.apply(this, arguments);
-      };
-      // Assign on the real prototype so existing contexts are covered
-      try { originalAudioContext.prototype.resume = patchedResume; } catch (_) {}
+// Held keys repeat like a held keyboard key. Touch and gamepads can hold the same key at once; it goes
+// up when the last of them lets go.
+const GAME_KEY_REPEAT_DELAY_MS = 400;
+const GAME_KEY_REPEAT_INTERVAL_MS = 80;
+const heldGameKeys = new Map(); // key -> { sources, timer }
+
+function holdGameKey(key, source) {
+    const held = heldGameKeys.get(key);
+    if (held) {
+        held.sources.add(source);
+        return;
     }
+    const entry = { sources: new Set([source]), timer: null };
+    const repeat = () => {
+        sendGameKey('keydown', key, true);
+        entry.timer = setTimeout(repeat, GAME_KEY_REPEAT_INTERVAL_MS);
+    };
+    heldGameKeys.set(key, entry);
+    sendGameKey('keydown', key);
+    entry.timer = setTimeout(repeat, GAME_KEY_REPEAT_DELAY_MS);
+}
 
-    // Optional: when page unloads, silence everything
-    window.addEventListener('beforeunload', () => {
-      try { window.__cleanupAllGameAudio && window.__cleanupAllGameAudio(); } catch (_) {}
+function releaseGameKey(key, source) {
+    const held = heldGameKeys.get(key);
+    if (!held || !held.sources.delete(source) || held.sources.size) return;
+    clearTimeout(held.timer);
+    heldGameKeys.delete(key);
+    sendGameKey('keyup', key);
+}
+
+// Everything one input holds, or every held key when no source is given
+function releaseAllGameKeys(source) {
+    [...heldGameKeys.entries()].forEach(([key, held]) => {
+        (source ? [source] : [...held.sources]).forEach(holder => releaseGameKey(key, holder));
     });
+}
 
-    // Provide a general game cleanup hook caller
-    window.__cleanupCurrentGame = async function cleanupCurrentGame() {
-      try {
-        // Invalidate any previously scheduled RAF/timeouts tied to old game
-        try { window.__advanceRafGeneration && window.__advanceRafGeneration(); } catch (_) {}
-        // Call per-game cleanup if provided
-        if (typeof window.__currentGameCleanup === 'function') {
-          try { await window.__currentGameCleanup(); } catch (_) {}
-        }
-      } catch (_) {}
-      // Always silence audio contexts from any prior games
-      try { await window.__cleanupAllGameAudio(); } catch (_) {}
-      // Clear the stage to remove any lingering canvases/elements
-      try {
-        const stage = document.getElementById('game-of-the-day-stage');
-        if (stage) stage.innerHTML = '';
-      } catch (_) {}
-      // Reset hook
-      window.__currentGameCleanup = null;
-    };
-  } catch (_) {
-    // Best-effort only
-  }
-})();
-
-// Defensive canvas patch: clamp gradient color stops to [0,1] to avoid IndexSizeError
-(() => {
-  try {
-    const CG = window.CanvasGradient && window.CanvasGradient.prototype;
-    if (CG && typeof CG.addColorStop === 'function') {
-      const originalAddColorStop = CG.addColorStop;
-      CG.addColorStop = function(offset, color) {
-        let o = Number(offset);
-        if (!Number.isFinite(o)) o = 0;
-        if (o < 0) o = 0;
-        if (o > 1) o = 1;
-        return originalAddColorStop.call(this, o, color);
-      };
-    }
-  } catch (_) { /* noop */ }
-})();
-
-// Global resource capture to auto-clean event listeners, timers, rafs installed by games
-(() => {
-  const originalAdd = EventTarget.prototype.addEventListener;
-  const originalRemove = EventTarget.prototype.removeEventListener;
-  const originalSetTimeout = window.setTimeout;
-  const originalClearTimeout = window.clearTimeout;
-  const originalSetInterval = window.setInterval;
-  const originalClearInterval = window.clearInterval;
-  const originalRAF = window.requestAnimationFrame;
-  const originalCancelRAF = window.cancelAnimationFrame;
-
-  let captureMode = false;
-  let capturedListeners = [];
-  let capturedTimeouts = [];
-  let capturedIntervals = [];
-  let capturedRAFs = [];
-
-  // Generation guard: invalidate ongoing animation/interval loops when switching games
-  window.__rafGeneration = 0;
-  window.__advanceRafGeneration = function() {
-    window.__rafGeneration = (window.__rafGeneration || 0) + 1;
-  };
-
-  // Monkey-patch to record only during capture
-  EventTarget.prototype.addEventListener = function(type, listener, options) {
-    if (captureMode && listener) {
-      capturedListeners.push({ target: this, type, listener, options });
-    }
-    return originalAdd.call(this, type, listener, options);
-  };
-
-  EventTarget.prototype.removeEventListener = function(type, listener, options) {
-    // Best-effort: also remove from captured list if present
-    if (listener) {
-      capturedListeners = capturedListeners.filter(
-        (rec) => !(rec.target === this && rec.type === type && rec.listener === listener)
-      );
-    }
-    return originalRemove.call(this, type, listener, options);
-  };
-
-  window.setTimeout = function(handler, timeout, ...args) {
-    const genAtSchedule = window.__rafGeneration || 0;
-    const wrapped = function() {
-      if ((window.__rafGeneration || 0) !== genAtSchedule) return;
-      if (typeof handler === 'function') return handler.apply(this, arguments);
-      try { return eval(handler); } catch (_) { return undefined; }
-    };
-    const id = originalSetTimeout(wrapped, timeout, ...args);
-    if (captureMode) capturedTimeouts.push(id);
-    return id;
-  };
-
-  window.clearTimeout = function(id) {
-    capturedTimeouts = capturedTimeouts.filter((x) => x !== id);
-    return originalClearTimeout(id);
-  };
-
-  window.setInterval = function(handler, timeout, ...args) {
-    const genAtSchedule = window.__rafGeneration || 0;
-    const wrapped = function() {
-      if ((window.__rafGeneration || 0) !== genAtSchedule) return;
-      if (typeof handler === 'function') return handler.apply(this, arguments);
-      try { return eval(handler); } catch (_) { return undefined; }
-    };
-    const id = originalSetInterval(wrapped, timeout, ...args);
-    if (captureMode) capturedIntervals.push(id);
-    return id;
-  };
-
-  window.clearInterval = function(id) {
-    capturedIntervals = capturedIntervals.filter((x) => x !== id);
-    return originalClearInterval(id);
-  };
-
-  window.requestAnimationFrame = function(callback) {
-    const genAtSchedule = window.__rafGeneration || 0;
-    const wrapped = function(ts) {
-      if ((window.__rafGeneration || 0) !== genAtSchedule) return; // do not invoke old-game frame
-      return callback(ts);
-    };
-    const id = originalRAF(wrapped);
-    if (captureMode) capturedRAFs.push(id);
-    return id;
-  };
-
-  window.cancelAnimationFrame = function(id) {
-    capturedRAFs = capturedRAFs.filter((x) => x !== id);
-    return originalCancelRAF(id);
-  };
-
-  window.__beginCaptureGameResources = function() {
-    capturedListeners = [];
-    capturedTimeouts = [];
-    capturedIntervals = [];
-    capturedRAFs = [];
-    captureMode = true;
-  };
-
-  window.__endCaptureGameResources = function() {
-    captureMode = false;
-    // Snapshot arrays for this game instance
+function gameKeysHeldBy(source) {
+    return [...heldGameKeys.keys()].filter(key => heldGameKeys.get(key).sources.has(source));
+}
+
+// Per-game input mapping, the "controls" entry of games/<name>.meta.json (described in touch-controls.js).
+// Until it loads, and for games without one, both inputs use their defaults.
+let gameControlsLoad = 0;
+
+function loadGameControls(gameName) {
+    const load = ++gameControlsLoad;
+    applyGameControls(null);
+    fetch(`games/${encodeURIComponent(gameName)}.meta.json`)
+        .then(response => (response.ok ? response.json() : null))
+        .catch(() => null)
+        .then(metadata => {
+            if (load !== gameControlsLoad || !metadata || !metadata.controls) return;
+            applyGameControls(metadata.controls);
+        });
+}
+
+function applyGameControls(controls) {
+    releaseAllGameKeys();
+    setTouchControls(controls);
+    setGamepadControls(controls);
+}
+
+// A key held while the page is hidden would otherwise stay down in the game
+document.addEventListener('visibilitychange', function () {
+    if (document.hidden) releaseAllGameKeys();
+});
+
+// Gamepads, including adaptive controllers and switch interfaces that show up as one: polled every
+// frame while one is connected and turned into the keys games already handle. The D-pad and left
+// stick press the game's movement keys (arrows, or WASD when its controls say so), the right stick
+// the other set. Buttons follow the standard layout; a game can remap them under controls.gamepad:
+//
+//   "gamepad": { "a": " ", "b": "Enter", "x": "q", "y": "e", "back": "m" }
+const GAMEPAD_BUTTONS = ['a', 'b', 'x', 'y', 'lb', 'rb', 'lt', 'rt', 'back', 'start', 'ls', 'rs'];
+const GAMEPAD_DPAD_BUTTONS = { up: 12, down: 13, left: 14, right: 15 };
+const DEFAULT_GAMEPAD_BUTTON_KEYS = { a: ' ', b: 'Enter', x: ' ', y: 'Enter', start: 'Enter', back: 'm' };
+const GAMEPAD_STICK_THRESHOLD = 0.5;
+
+let gamepadControls = normalizeGamepadControls(null);
+let gamepadFrame = null;
+
+function normalizeGamepadControls(controls) {
+    const movement = controls && controls.dpad === 'wasd' ? 'wasd' : 'arrows';
+    const buttons = Object.assign({}, DEFAULT_GAMEPAD_BUTTON_KEYS);
+    Object.entries((controls && controls.gamepad) || {}).forEach(([button, key]) => {
+        if (!GAMEPAD_BUTTONS.includes(button)) return;
+        // null turns a button off
+        if (key === null) delete buttons[button];
+        else if (typeof key === 'string' && describeGameKey(key)) buttons[button] = key;
+    });
     return {
-      listeners: capturedListeners.slice(),
-      timeouts: capturedTimeouts.slice(),
-      intervals: capturedIntervals.slice(),
-      rafs: capturedRAFs.slice(),
+        buttons,
+        move: GAME_DIRECTION_KEYS[movement],
+        look: GAME_DIRECTION_KEYS[movement === 'wasd' ? 'arrows' : 'wasd']
+    };
+}
+
+function setGamepadControls(controls) {
+    gamepadControls = normalizeGamepadControls(controls);
+}
+
+function connectedGamepads() {
+    return navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+}
+
+function gamepadKeys(gamepad) {
+    const keys = new Set();
+    const pressed = index => !!(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+    const axis = index => gamepad.axes[index] || 0;
+    GAMEPAD_BUTTONS.forEach((button, index) => {
+        if (pressed(index) && gamepadControls.buttons[button]) keys.add(gamepadControls.buttons[button]);
+    });
+    const addDirections = (directionKeys, x, y, dpad) => {
+        if (y < -GAMEPAD_STICK_THRESHOLD || (dpad && pressed(GAMEPAD_DPAD_BUTTONS.up))) keys.add(directionKeys.up);
+        if (y > GAMEPAD_STICK_THRESHOLD || (dpad && pressed(GAMEPAD_DPAD_BUTTONS.down))) keys.add(directionKeys.down);
+        if (x < -GAMEPAD_STICK_THRESHOLD || (dpad && pressed(GAMEPAD_DPAD_BUTTONS.left))) keys.add(directionKeys.left);
+        if (x > GAMEPAD_STICK_THRESHOLD || (dpad && pressed(GAMEPAD_DPAD_BUTTONS.right))) keys.add(directionKeys.right);
     };
-  };
-
-  window.__registerCleanupForSnapshot = function(snapshot) {
-    window.__currentGameCleanup = async function() {
-      try {
-        // Remove event listeners
-        if (snapshot && snapshot.listeners) {
-          snapshot.listeners.forEach(({ target, type, listener, options }) => {
-            try { originalRemove.call(target, type, listener, options); } catch (_) {}
-          });
+    addDirections(gamepadControls.move, axis(0), axis(1), true);
+    addDirections(gamepadControls.look, axis(2), axis(3), false);
+    return keys;
+}
+
+function pollGamepads() {
+    gamepadFrame = null;
+    const gamepads = connectedGamepads();
+    const keys = new Set();
+    gamepads.forEach(gamepad => gamepadKeys(gamepad).forEach(key => keys.add(key)));
+    gameKeysHeldBy('gamepad').filter(key => !keys.has(key)).forEach(key => releaseGameKey(key, 'gamepad'));
+    keys.forEach(key => holdGameKey(key, 'gamepad'));
+    if (gamepads.length) gamepadFrame = requestAnimationFrame(pollGamepads);
+}
+
+function startGamepadPolling() {
+    if (gamepadFrame === null) gamepadFrame = requestAnimationFrame(pollGamepads);
+}
+
+window.addEventListener('gamepadconnected', startGamepadPolling);
+window.addEventListener('gamepaddisconnected', startGamepadPolling); // one last poll releases its keys
+
+// Switch scanning (game-runtime.js) for children who play with one switch or button: the frame steps
+// a highlight through what the game offers and Space or Enter chooses. Saved per player with the
+// other settings; scanIntervalMs is how long each choice stays highlighted.
+const DEFAULT_SCAN_INTERVAL_MS = 2000;
+
+function switchScanningEnabled() {
+    return readProfileData('settings', {}).scanning === true;
+}
+
+function toggleSwitchScanning() {
+    const settings = readProfileData('settings', {});
+    settings.scanning = !switchScanningEnabled();
+    writeProfileData('settings', settings);
+    applySwitchScanning();
+}
+
+function applySwitchScanning() {
+    const enabled = switchScanningEnabled();
+    const toggle = document.getElementById('switch-scanning-toggle');
+    if (toggle) toggle.setAttribute('aria-pressed', String(enabled));
+    const frameWindow = getCurrentGameWindow();
+    try {
+        const scanning = frameWindow && frameWindow.__gameScanning;
+        if (!scanning) return;
+        if (enabled) {
+            scanning.start({ intervalMs: readProfileData('settings', {}).scanIntervalMs || DEFAULT_SCAN_INTERVAL_MS });
+        } else {
+            scanning.stop();
         }
-        // Clear timers
-        if (snapshot && snapshot.timeouts) snapshot.timeouts.forEach((id) => { try { originalClearTimeout(id); } catch (_) {} });
-        if (snapshot && snapshot.intervals) snapshot.intervals.forEach((id) => { try { originalClearInterval(id); } catch (_) {} });
-        // Cancel RAFs
-        if (snapshot && snapshot.rafs) snapshot.rafs.forEach((id) => { try { originalCancelRAF(id); } catch (_) {} });
-      } catch (_) {}
-      // Silence any audio contexts lingering
-      try { await window.__cleanupAllGameAudio(); } catch (_) {}
+    } catch (_) {}
+}
+
+window.addEventListener('DOMContentLoaded', applySwitchScanning);
+document.addEventListener('gotd:profilechange', applySwitchScanning);
+
+window.GameOfTheDayHost = {
+    pauseGame() {
+        const lifecycle = getCurrentGameLifecycle();
+        return lifecycle ? lifecycle.pause() : false;
+    },
+    resumeGame() {
+        const lifecycle = getCurrentGameLifecycle();
+        return lifecycle ? lifecycle.resume() : false;
+    },
+    // Resolves once the game has been destroyed and its frame removed
+    destroyGame() {
+        return window.__cleanupCurrentGame();
+    },
+    getGameState() {
+        const lifecycle = getCurrentGameLifecycle();
+        return lifecycle ? lifecycle.getState() : null;
+    },
+    progress: {
+        report: recordProgress,
+        get(gameId) {
+            return loadProgress().games[gameId] || null;
+        },
+        getAll() {
+            return loadProgress();
+        },
+        getStreak() {
+            return getDailyStreak(loadProgress());
+        },
+    },
+    // Player settings (settings.js), read by GameOfTheDay.getSettings in the frame
+    settings: {
+        get: getGameSettings,
+    },
+    // Read-aloud (narration.js), fed by GameOfTheDay.speak and the live regions the frame watches
+    narration: {
+        speak: speakNarration,
+        stop: stopNarration,
+    },
+    // Adaptive difficulty (difficulty.js), read by GameOfTheDay.getDifficulty in the frame
+    difficulty: {
+        get: getDifficulty,
+    },
+    // Session recording and playback (replay.js), started by the frame's lifecycle shim
+    replay: {
+        takeSession: takeReplaySession,
+        finished: finishReplay,
+    },
+    // Learning events (learning-events.js), sent by GameOfTheDay.track in the frame
+    events: {
+        record(gameId, event) {
+            return recordLearningEvent(progressGameId(gameId), event);
+        },
+        getAll() {
+            return loadLearningEvents();
+        },
+        exportCsv() {
+            exportLearningEvents('csv');
+        },
+        exportXapi() {
+            exportLearningEvents('xapi');
+        },
+    },
+};
+
+// Progress store: results, scores and time played per game, saved for the active player profile
+// (profiles.js) so a child's progress survives reloads. The frame runtime reports here
+// (GameOfTheDay.reportProgress or its own detection).
+function loadProgress() {
+    const saved = readProfileData('progress', null);
+    if (saved && saved.games && saved.days) return saved;
+    return { version: 1, games: {}, days: {} };
+}
+
+function saveProgress(progress) {
+    writeProfileData('progress', progress);
+}
+
+// latest.js is today's game; keep its progress under today's date like the timeline does
+function progressGameId(gameId) {
+    return gameId === 'latest' ? formatDateString(new Date()) : gameId;
+}
+
+function recordProgress(gameId, report) {
+    const id = progressGameId(gameId);
+    const progress = loadProgress();
+    const entry = progress.games[id] || {
+        sessions: 0, wins: 0, losses: 0, bestScore: null, lastScore: null,
+        timePlayedMs: 0, questionsAnswered: 0, lastResult: null, lastPlayed: null
     };
-  };
-})();
 
-// Move the game canvas into the stage area if it is created by the JS
+    if (report.result === 'won' || report.result === 'lost') {
+        entry[report.result === 'won' ? 'wins' : 'losses']++;
+        entry.lastResult = report.result;
+        // Days with a finished game drive the streak
+        const day = formatDateString(new Date());
+        progress.days[day] = (progress.days[day] || 0) + 1;
+        recordLearningEvent(id, { type: `game_${report.result}`, score: report.score });
+    }
+    if (typeof report.score === 'number') {
+        entry.lastScore = report.score;
+        entry.bestScore = entry.bestScore === null ? report.score : Math.max(entry.bestScore, report.score);
+    }
+    if (typeof report.questionsAnswered === 'number') entry.questionsAnswered += report.questionsAnswered;
+    if (typeof report.timePlayedMs === 'number') {
+        entry.sessions++;
+        entry.timePlayedMs += report.timePlayedMs;
+        // Per-day play time for the report page; older progress data has none
+        const day = formatDateString(new Date());
+        progress.timeByDay = progress.timeByDay || {};
+        progress.timeByDay[day] = (progress.timeByDay[day] || 0) + report.timePlayedMs;
+    }
+    entry.lastPlayed = new Date().toISOString();
+
+    progress.games[id] = entry;
+    saveProgress(progress);
+    updateProgressDisplay();
+    return entry;
+}
+
+// Consecutive days, ending today, with at least one finished game. Today not being finished yet
+// does not break the streak until the day is over.
+function getDailyStreak(progress) {
+    const day = new Date();
+    if (!progress.days[formatDateString(day)]) day.setDate(day.getDate() - 1);
+    let streak = 0;
+    while (progress.days[formatDateString(day)]) {
+        streak++;
+        day.setDate(day.getDate() - 1);
+    }
+    return streak;
+}
+
+function getProgressStatus(entry) {
+    if (!entry) return 'unplayed';
+    if (entry.wins > 0) return 'won';
+    return 'played';
+}
+
+// Mark timeline cards as played/won and refresh the streak line
+function updateProgressDisplay() {
+    const progress = loadProgress();
+    document.querySelectorAll('.daily-game-card').forEach(card => {
+        const match = (card.getAttribute('onclick') || '').match(/loadDailyGame\('([^']+)'\)/);
+        if (!match) return;
+        const status = getProgressStatus(progress.games[match[1]]);
+        card.classList.toggle('played', status === 'played');
+        card.classList.toggle('won', status === 'won');
+    });
+
+    const summary = document.getElementById('progress-summary');
+    if (!summary) return;
+    const entries = Object.values(progress.games);
+    const finished = entries.filter(entry => entry.wins + entry.losses > 0).length;
+    const won = entries.filter(entry => entry.wins > 0).length;
+    const streak = getDailyStreak(progress);
+    summary.textContent = finished
+        ? `${streak > 0 ? `🔥 ${streak}-day streak · ` : ''}${finished} game${finished === 1 ? '' : 's'} finished · ${won} won`
+        : '';
+}
+
+document.addEventListener('gotd:profilechange', updateProgressDisplay);
+
+// Pause screen: the game freezes (clock, timers, RAF, input and audio, see game-runtime.js) when the tab
+// is hidden, the page loses focus or the player presses Pause, and carries on only when they choose
+// Resume, so a child who walked away does not come back to lost lives. Only games paused here are
+// resumed here.
+const PAUSE_MESSAGES = {
+    away: 'The game waited for you while you were away.',
+    button: 'Take a break. The game will wait.'
+};
+let gamePausedByHost = false;
+
+function pauseGameWithOverlay(reason) {
+    if (gamePausedByHost || !window.GameOfTheDayHost.pauseGame()) return;
+    gamePausedByHost = true;
+    releaseAllTouchKeys();
+    releaseAllGameKeys();
+    stopNarration();
+
+    const stage = document.getElementById('game-of-the-day-stage');
+    const overlay = document.createElement('div');
+    overlay.className = 'pause-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Game paused');
+    overlay.innerHTML = `
+        <h3>⏸ Paused</h3>
+        <p>${PAUSE_MESSAGES[reason] || PAUSE_MESSAGES.button}</p>
+        <button type="button" class="metadata-btn">▶ Resume</button>
+    `;
+    overlay.querySelector('button').addEventListener('click', resumeGameFromOverlay);
+    stage.appendChild(overlay);
+    overlay.querySelector('button').focus();
+    renderPauseToggle();
+}
+
+function resumeGameFromOverlay() {
+    if (!gamePausedByHost) return;
+    gamePausedByHost = false;
+    document.querySelectorAll('#game-of-the-day-stage .pause-overlay').forEach(overlay => overlay.remove());
+    window.GameOfTheDayHost.resumeGame();
+    const frame = document.querySelector('#game-of-the-day-stage iframe.game-frame');
+    if (frame) frame.focus();
+    renderPauseToggle();
+}
+
+function toggleGamePause() {
+    if (gamePausedByHost) resumeGameFromOverlay();
+    else pauseGameWithOverlay('button');
+}
+
+function renderPauseToggle() {
+    const toggle = document.getElementById('pause-toggle');
+    if (toggle) toggle.setAttribute('aria-pressed', String(gamePausedByHost));
+}
+
+// Focus moving into the game frame blurs this window too, so only a page with no focus anywhere counts
+function pauseIfPageLostFocus() {
+    setTimeout(() => {
+        if (!document.hasFocus()) pauseGameWithOverlay('away');
+    }, 0);
+}
+
+document.addEventListener('visibilitychange', function () {
+    if (document.hidden) pauseGameWithOverlay('away');
+});
+window.addEventListener('blur', pauseIfPageLostFocus);
+
 window.addEventListener('DOMContentLoaded', function () {
     const stage = document.getElementById('game-of-the-day-stage');
     stage.tabIndex = 0;
@@ -298,13 +549,6 @@ window.addEventListener('DOMContentLoaded', function () {
     setTimeout(() => {
         stage.classList.remove('game-loading-animation');
     }, 800);
-    // Wait a tick for the game script to run
-    setTimeout(() => {
-        const gameCanvas = document.getElementById('game');
-        if (gameCanvas && stage) {
-            stage.appendChild(gameCanvas);
-        }
-    }, 100);
 
     // Initialize daily games section
     initializeDailyGames();
@@ -312,10 +556,123 @@ window.addEventListener('DOMContentLoaded', function () {
     const today = new Date();
     const todayString = today.toISOString().split('T')[0];
     setDateMessage(todayString);
-    // Auto-load today's game
-    try { loadTodaysGame(); } catch (e) { console.error('Failed to auto-load today\'s game:', e); }
+    // Load whatever the URL points at (today's game by default)
+    try { applyRoute(readInitialRoute()); } catch (e) { console.error('Failed to auto-load today\'s game:', e); }
+});
+
+// Deep links: #/game/2025-10-31, #/game/2025-10-31/metadata, #/game/2025-10-31/compare/2025-10-01
+// and #/hall-of-fame/tens-and-trails.
+// ?date=2025-10-31 is accepted on page load and rewritten to the hash form.
+// Hall of Fame slugs are also listed in .github/scripts/build_manifest.py, which keeps them out of the archive.
+const HALL_OF_FAME_GAMES = {
+    'endless-adventure': 'Endless Adventure',
+    'tens-and-trails': 'Tens and Trails'
+};
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+let currentRoute = { type: 'today' };
+
+function parseRoute(hash) {
+    let parts;
+    try {
+        parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (e) {
+        // A malformed escape (#/game/%E0) is not a route
+        return { type: 'today' };
+    }
+    if (parts[0] === 'game' && DATE_PATTERN.test(parts[1] || '')) {
+        if (parts[2] === 'compare' && DATE_PATTERN.test(parts[3] || '')) {
+            return { type: 'game', date: parts[1], metadata: true, compare: parts[3] };
+        }
+        return { type: 'game', date: parts[1], metadata: parts[2] === 'metadata' };
+    }
+    if (parts[0] === 'hall-of-fame' && Object.prototype.hasOwnProperty.call(HALL_OF_FAME_GAMES, parts[1])) {
+        return { type: 'hall-of-fame', slug: parts[1] };
+    }
+    return { type: 'today' };
+}
+
+function routeToHash(route) {
+    if (route.type === 'game' && route.compare) return `#/game/${route.date}/compare/${route.compare}`;
+    if (route.type === 'game') return `#/game/${route.date}${route.metadata ? '/metadata' : ''}`;
+    if (route.type === 'hall-of-fame') return `#/hall-of-fame/${route.slug}`;
+    return '';
+}
+
+function readInitialRoute() {
+    const queryDate = new URLSearchParams(window.location.search).get('date');
+    if (!window.location.hash && queryDate && DATE_PATTERN.test(queryDate)) {
+        const route = { type: 'game', date: queryDate, metadata: false };
+        history.replaceState(null, '', window.location.pathname + routeToHash(route));
+        return route;
+    }
+    return parseRoute(window.location.hash);
+}
+
+// Record a route in the address bar without loading anything; replace is used for modal toggles
+function setRoute(route, replace) {
+    const url = window.location.pathname + window.location.search + routeToHash(route);
+    if (routeToHash(route) === routeToHash(currentRoute)) return;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    currentRoute = route;
+}
+
+// Load the game (and modal) a route describes. Loads started here never push history themselves.
+function applyRoute(route) {
+    const previous = currentRoute;
+    currentRoute = route;
+    const sameGame = route.type === previous.type && route.date === previous.date && route.slug === previous.slug;
+
+    if (!sameGame || !getCurrentGameLifecycle()) {
+        if (route.type === 'game') {
+            loadDailyGame(route.date, { fromHistory: true });
+        } else if (route.type === 'hall-of-fame') {
+            loadHallOfFameGame(route.slug, { fromHistory: true });
+        } else {
+            loadTodaysGame();
+        }
+    }
+
+    if (route.type === 'game' && route.metadata) {
+        showMetadata(route.date, { fromHistory: true, compareWith: route.compare });
+    } else {
+        hideMetadata({ fromHistory: true });
+    }
+}
+
+window.addEventListener('popstate', function () {
+    applyRoute(parseRoute(window.location.hash));
 });
 
+// Hall of Fame games that can run in the stage frame (their scripts live in games/ next to the dailies)
+function loadHallOfFameGame(slug, options) {
+    const gameStage = document.getElementById('game-of-the-day-stage');
+    if (!(options && options.fromHistory)) {
+        setRoute({ type: 'hall-of-fame', slug });
+        // The Hall of Fame cards sit below the stage
+        gameStage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+    const gameTitle = document.querySelector('.game-of-the-day-stage h2');
+
+    gameStage.classList.add('game-loading-animation');
+    setTimeout(() => {
+        gameStage.classList.remove('game-loading-animation');
+    }, 800);
+
+    gameTitle.textContent = `Hall of Fame: ${HALL_OF_FAME_GAMES[slug]}`;
+    const existingDateMsg = document.querySelector('.date-message');
+    if (existingDateMsg) existingDateMsg.remove();
+
+    const loadId = ++gameLoadSequence;
+    updateActiveCard(null);
+    window.__cleanupCurrentGame().then(() => {
+        if (loadId === gameLoadSequence) mountGameFrame(gameStage, slug);
+    });
+}
+
 // Daily Games functionality
 function initializeDailyGames() {
     const container = document.getElementById('daily-games-container');
@@ -325,18 +682,14 @@ function initializeDailyGames() {
     const today = new Date();
     const todayString = formatDateString(today); // YYYY-MM-DD format in local timezone
 
-    // Fetch all available game dates from the index.json file
-    fetch('games/index.json')
-        .then(res => res.json())
-        .then(dates => {
-            // Sort dates chronologically (newest first)
-            dates.sort().reverse();
-            
-            // Create cards for all available games
-            const cards = dates.map(dateString => {
-                const isToday = dateString === todayString;
+    // Fetch all available games from the archive manifest
+    loadArchiveManifest()
+        .then(games => {
+            // Create cards for all available games (already sorted newest first)
+            const cards = games.map(game => {
+                const isToday = game.date === todayString;
                 return {
-                    date: dateString,
+                    ...game,
                     status: isToday ? 'today' : 'available',
                     isToday: isToday
                 };
@@ -352,15 +705,24 @@ function initializeDailyGames() {
                     const dateLabel = `${mm}/${dd}/${year}`;
                     return `
                         <div class="daily-game-card ${card.isToday ? 'today active' : ''}" 
-                             onclick="loadDailyGame('${card.date}'); console.log('Clicked daily game: ${card.date}');">
+                             onclick="loadDailyGame('${card.date}'); console.log('Clicked daily game: ${card.date}');"
+                             title="${escapeHtml(describeGameCard(card))}">
+                            ${card.thumbnail ? `<img class="daily-game-thumbnail" src="${escapeHtml(card.thumbnail)}" alt="" loading="lazy">` : ''}
                             <h4>${dateLabel}</h4>
+                            ${renderGameCardDetails(card)}
                         </div>
                     `;
                 }).join('') +
                 '<div class="daily-game-spacer"></div>';
 
-            // Activate and center today's card on page load
-            updateActiveCard(todayString);
+            updateProgressDisplay();
+
+            // Activate and center the routed card on page load (today's by default, none for Hall of Fame)
+            if (currentRoute.type === 'game') {
+                updateActiveCard(currentRoute.date);
+            } else {
+                updateActiveCard(currentRoute.type === 'today' ? todayString : null);
+            }
         })
         .catch(error => {
             console.error('Failed to load game dates:', error);
@@ -368,6 +730,52 @@ function initializeDailyGames() {
         });
 }
 
+// Archive manifest entries, newest first. Falls back to the bare date list in index.json if the manifest is missing.
+let archiveManifestPromise = null;
+function loadArchiveManifest() {
+    if (!archiveManifestPromise) {
+        archiveManifestPromise = fetch('games/manifest.json')
+            .then(res => {
+                if (!res.ok) throw new Error(`Manifest not found (${res.status})`);
+                return res.json();
+            })
+            .then(manifest => manifest.games)
+            .catch(error => {
+                console.warn('Falling back to games/index.json:', error);
+                return fetch('games/index.json')
+                    .then(res => res.json())
+                    .then(dates => dates.map(date => ({ date })));
+            })
+            .then(games => games.slice().sort((a, b) => b.date.localeCompare(a.date)));
+        archiveManifestPromise.catch(() => { archiveManifestPromise = null; });
+    }
+    return archiveManifestPromise;
+}
+
+// Title, theme, skills and score lines for a manifest entry; bare index.json entries only show the date
+function renderGameCardDetails(game) {
+    const heading = game.title || (game.theme ? game.theme.charAt(0).toUpperCase() + game.theme.slice(1) : '');
+    const tags = (game.skills || []).map(skill => `<span class="daily-game-tag">${escapeHtml(skill)}</span>`).join('');
+    const facts = [];
+    if (game.title && game.theme) facts.push(escapeHtml(game.theme));
+    if (game.age_band) facts.push(`ages ${escapeHtml(game.age_band)}`);
+    if (game.functionality) facts.push(`${game.functionality.score}/${game.functionality.max_score}`);
+    return (heading ? `<div class="daily-game-title">${escapeHtml(heading)}</div>` : '') +
+        (facts.length ? `<div class="daily-game-facts">${facts.join(' · ')}</div>` : '') +
+        (tags ? `<div class="daily-game-tags">${tags}</div>` : '');
+}
+
+// Plain-text summary used as the card tooltip
+function describeGameCard(game) {
+    const parts = [game.title || game.date];
+    if (game.theme) parts.push(`Theme: ${game.theme}`);
+    if (game.skills && game.skills.length) parts.push(`Skills: ${game.skills.join(', ')}`);
+    if (game.model) parts.push(`Model: ${game.model}`);
+    if (game.functionality) parts.push(`Functionality: ${game.functionality.score}/${game.functionality.max_score}`);
+    if (game.size_bytes) parts.push(`Size: ${(game.size_bytes / 1024).toFixed(1)} KB`);
+    return parts.join('\n');
+}
+
 function formatDateString(date) {
     // Format date as YYYY-MM-DD in local timezone
     const year = date.getFullYear();
@@ -404,8 +812,15 @@ function setDateMessage(dateString) {
     gameSubtitle.insertAdjacentElement('afterend', dateMsg);
 }
 
-function loadDailyGame(dateString) {
+// Bumped on every load so a slower, older load cannot mount over a newer one
+let gameLoadSequence = 0;
+
+function loadDailyGame(dateString, options) {
     console.log('loadDailyGame called with:', dateString);
+    if (!(options && options.fromHistory)) {
+        setRoute({ type: 'game', date: dateString, metadata: false });
+    }
+    const loadId = ++gameLoadSequence;
     
     // Replace the game of the day with the selected daily game
     const gameStage = document.getElementById('game-of-the-day-stage');
@@ -431,30 +846,26 @@ function loadDailyGame(dateString) {
     // Add a date message below the subtitle
     setDateMessage(dateString);
 
-    // Clean up any currently running game (audio, etc.)
-    if (window.__cleanupCurrentGame) {
-        window.__cleanupCurrentGame();
-    }
-    // Show loading
-    gameStage.innerHTML = '<div class="loading">Loading game...</div>';
-    
-    // Remove any existing game scripts
-    const existingScripts = document.querySelectorAll('script[src^="games/"]');
-    existingScripts.forEach(script => script.remove());
+    // Clean up any currently running game (audio, etc.), then show loading
+    const cleanup = window.__cleanupCurrentGame().then(() => {
+        if (loadId === gameLoadSequence) gameStage.innerHTML = '<div class="loading">Loading game...</div>';
+    });
     
     // Update the active card in the timeline
     updateActiveCard(dateString);
     
     // Delay game loading by 500ms to allow card animation to complete
     setTimeout(() => {
+        if (loadId !== gameLoadSequence) return;
         // Add purple class to active card after 500ms
         const activeCard = document.querySelector('.daily-game-card.active');
         if (activeCard) {
             activeCard.classList.add('purple');
         }
 
-        // Load the selected daily game using fetch and wrap in function scope
-        fetch(`games/${dateString}.js`)
+        // Check the selected daily game exists and looks complete before mounting it
+        cleanup
+            .then(() => fetch(`games/${dateString}.js`))
             .then(response => {
                 if (!response.ok) {
                     throw new Error(`HTTP error! status: ${response.status}`);
@@ -462,6 +873,7 @@ function loadDailyGame(dateString) {
                 return response.text();
             })
             .then(scriptContent => {
+                if (loadId !== gameLoadSequence) return;
                 console.log(`Successfully loaded daily game: ${dateString}`);
                 
                 // Check if the script content is valid (not too short or corrupted)
@@ -469,44 +881,11 @@ function loadDailyGame(dateString) {
                     throw new Error('Game file appears to be corrupted or incomplete');
                 }
                 
-                // Wrap the script content in a function to isolate variables
-                const wrappedScript = `
-                    (function() {
-                        try {
-                            ${scriptContent}
-                        } catch (error) {
-                            console.error('Game execution error:', error);
-                            const stage = document.getElementById('game-of-the-day-stage');
-                            if (stage) {
-                                stage.innerHTML = \`
-                                    <div class="error-message">
-                                        <p>This game encountered an error while loading.</p>
-                                        <p>Error: \${error.message}</p>
-                                    </div>
-                                \`;
-                            }
-                        }
-                    })();
-                `;
-                
-                // Begin resource capture so we can clean this game later
-                if (window.__advanceRafGeneration) window.__advanceRafGeneration();
-                if (window.__beginCaptureGameResources) window.__beginCaptureGameResources();
-
-                // Create a new script element with the wrapped content
-                const script = document.createElement('script');
-                script.textContent = wrappedScript;
-                
-                // Execute the script
-                document.head.appendChild(script);
-
-                // Finalize capture and register cleanup
-                if (window.__endCaptureGameResources && window.__registerCleanupForSnapshot) {
-                    const snapshot = window.__endCaptureGameResources();
-                    window.__registerCleanupForSnapshot(snapshot);
-                }
+                // Run the game in a fresh sandboxed frame
+                mountGameFrame(gameStage, dateString);
             })
             .catch(error => {
+                if (loadId !== gameLoadSequence) return;
                 console.error(`Failed to load daily game: ${dateString}`, error);
                 let errorMessage = '';
                 if (error.message.includes('corrupted')) {
@@ -536,6 +915,7 @@ function loadDailyGame(dateString) {
 
 function loadTodaysGame() {
     // Reset to today's game
+    const loadId = ++gameLoadSequence;
     const gameStage = document.getElementById('game-of-the-day-stage');
     const gameTitle = document.querySelector('.game-of-the-day-stage h2');
     const gameSubtitle = document.querySelector('.game-of-the-day-stage p');
@@ -556,24 +936,18 @@ function loadTodaysGame() {
     const existingDateMsg = document.querySelector('.date-message');
     if (existingDateMsg) existingDateMsg.remove();
 
-    // Clean up any currently running game (audio, etc.)
-    if (window.__cleanupCurrentGame) {
-        window.__cleanupCurrentGame();
-    }
-    // Clear the current game stage
-    gameStage.innerHTML = '';
-    
-    // Remove any existing game scripts
-    const existingScripts = document.querySelectorAll('script[src^="games/"]');
-    existingScripts.forEach(script => script.remove());
-    
     // Update the active card to today's card
     const today = new Date();
     const todayString = formatDateString(today);
     updateActiveCard(todayString);
     
-    // Load the latest game (today's game) using fetch and wrap in function scope
-    fetch('games/latest.js')
+    // Clean up any currently running game (audio, etc.), then check the latest game (today's game)
+    // exists before mounting it
+    window.__cleanupCurrentGame()
+        .then(() => {
+            if (loadId === gameLoadSequence) gameStage.innerHTML = '';
+            return fetch('games/latest.js');
+        })
         .then(response => {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -581,33 +955,14 @@ function loadTodaysGame() {
             return response.text();
         })
         .then(scriptContent => {
+            if (loadId !== gameLoadSequence) return;
             console.log('Successfully loaded today\'s game');
             
-            // Wrap the script content in a function to isolate variables
-            const wrappedScript = `
-                (function() {
-                    ${scriptContent}
-                })();
-            `;
-            
-            // Begin resource capture so we can clean this game later
-            if (window.__advanceRafGeneration) window.__advanceRafGeneration();
-            if (window.__beginCaptureGameResources) window.__beginCaptureGameResources();
-
-            // Create a new script element with the wrapped content
-            const script = document.createElement('script');
-            script.textContent = wrappedScript;
-            
-            // Execute the script
-            document.head.appendChild(script);
-
-            // Finalize capture and register cleanup
-            if (window.__endCaptureGameResources && window.__registerCleanupForSnapshot) {
-                const snapshot = window.__endCaptureGameResources();
-                window.__registerCleanupForSnapshot(snapshot);
-            }
+            // Run the game in a fresh sandboxed frame
+            mountGameFrame(gameStage, 'latest');
         })
         .catch(error => {
+            if (loadId !== gameLoadSequence) return;
             console.error('Failed to load today\'s game', error);
             gameStage.innerHTML = `
                 <div class="error-message">
@@ -624,8 +979,8 @@ function updateActiveCard(dateString) {
         card.classList.remove('active', 'plugged-in');
     });
 
-    // Find the card that matches the current game
-    const targetCard = document.querySelector(`[onclick*="${dateString}"]`);
+    // Find the card that matches the current game (none for Hall of Fame games)
+    const targetCard = dateString ? document.querySelector(`[onclick*="${dateString}"]`) : null;
     if (targetCard) {
         targetCard.classList.add('active');
         // No more button text or color change
@@ -663,15 +1018,15 @@ function updateActiveCard(dateString) {
 // Remove connector position JS and window resize handler, as the connector is now always fixed at center.
 
 // Metadata modal functions
-function showMetadata() {
+function showMetadata(dateString, options) {
     const modal = document.getElementById('metadata-modal');
     const content = document.getElementById('metadata-content');
     
-    // Get the current game date
+    // Use the requested date, else the current game date
     const activeCard = document.querySelector('.daily-game-card.active');
-    let gameDate = '';
+    let gameDate = dateString || '';
     
-    if (activeCard) {
+    if (!gameDate && activeCard) {
         // Extract date from onclick attribute
         const onclickAttr = activeCard.getAttribute('onclick');
         console.log('Active card onclick:', onclickAttr);
@@ -690,91 +1045,600 @@ function showMetadata() {
     }
     
     console.log('Final game date for metadata:', gameDate);
+
+    // Make the open modal linkable (Hall of Fame games have no dated metadata route)
+    if (!(options && options.fromHistory) && currentRoute.type !== 'hall-of-fame') {
+        setRoute({ type: 'game', date: gameDate, metadata: true }, true);
+    }
     
-    // Try to load metadata
-    loadMetadata(gameDate);
+    // Load the metadata, or the comparison view when a second date was given
+    if (options && options.compareWith) {
+        loadMetadataComparison(gameDate, options.compareWith);
+    } else {
+        loadMetadata(gameDate);
+    }
     
     modal.style.display = 'flex';
 }
 
-function hideMetadata() {
+function hideMetadata(options) {
     const modal = document.getElementById('metadata-modal');
     modal.style.display = 'none';
+    if (!(options && options.fromHistory) && currentRoute.metadata) {
+        setRoute({ type: 'game', date: currentRoute.date, metadata: false }, true);
+    }
 }
 
 function loadMetadata(dateString) {
     const content = document.getElementById('metadata-content');
     
     console.log('Loading metadata for:', dateString);
+    content.innerHTML = '<p class="metadata-loading">Loading metadata...</p>';
     
-    // Try to load the markdown metadata first
-    fetch(`games/${dateString}.meta.md`)
+    // Prefer the structured view of meta.json; older games only have meta.md
+    fetch(`games/${dateString}.meta.json`)
         .then(response => {
             if (response.ok) {
-                return response.text();
+                return response.json();
             }
-            throw new Error('Markdown metadata not found');
+            throw new Error('JSON metadata not found');
         })
-        .then(markdownContent => {
-            console.log('Markdown metadata loaded successfully');
-            // Simple markdown to HTML conversion for basic formatting
-            let htmlContent = markdownContent
-                .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-                .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-                .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-                .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-                .replace(/\*(.*?)\*/g, '<em>$1</em>')
-                .replace(/`(.*?)`/g, '<code>$1</code>')
-                .replace(/\n/g, '<br>');
-            
-            content.innerHTML = htmlContent;
+        .then(metadata => {
+            console.log('JSON metadata loaded successfully');
+            content.innerHTML = renderMetadataSummary(metadata, dateString);
+            populateCompareSelect(content.querySelector('.metadata-compare select'), dateString);
+            // The full markdown report is only fetched when its section is opened
+            const report = content.querySelector('.metadata-report');
+            report.addEventListener('toggle', function () {
+                if (!report.open || report.dataset.loaded) return;
+                report.dataset.loaded = 'true';
+                fetch(`games/${dateString}.meta.md`)
+                    .then(response => {
+                        if (!response.ok) throw new Error('Markdown metadata not found');
+                        return response.text();
+                    })
+                    .then(markdown => {
+                        report.querySelector('.metadata-report-body').innerHTML = renderMarkdown(markdown);
+                    })
+                    .catch(() => {
+                        report.querySelector('.metadata-report-body').innerHTML = '<p>No markdown report for this game.</p>';
+                    });
+            });
         })
         .catch(error => {
-            console.log('Markdown not found, trying JSON metadata');
-            // If markdown not found, try JSON metadata
-            return fetch(`games/${dateString}.meta.json`)
+            console.log('JSON metadata not found, trying markdown metadata');
+            return fetch(`games/${dateString}.meta.md`)
                 .then(response => {
                     if (response.ok) {
-                        return response.json();
+                        return response.text();
                     }
-                    throw new Error('JSON metadata not found');
+                    throw new Error('Markdown metadata not found');
                 })
-                .then(jsonData => {
-                    console.log('JSON metadata loaded successfully');
-                    // Format JSON data nicely
-                    let htmlContent = '<h2>Game Metadata</h2>';
-                    htmlContent += '<div style="background: rgba(0,0,0,0.2); padding: 1rem; border-radius: 8px; margin: 1rem 0;">';
-                    htmlContent += '<pre><code>' + JSON.stringify(jsonData, null, 2) + '</code></pre>';
-                    htmlContent += '</div>';
-                    content.innerHTML = htmlContent;
+                .then(markdownContent => {
+                    console.log('Markdown metadata loaded successfully');
+                    content.innerHTML = renderMarkdown(markdownContent);
                 });
         })
         .catch(error => {
             console.log('No metadata found:', error);
             content.innerHTML = `
                 <h2>No Metadata Available</h2>
-                <p>Metadata for ${dateString} is not available.</p>
+                <p>Metadata for ${escapeHtml(dateString)} is not available.</p>
                 <p>This game may not have associated metadata files.</p>
                 <p><strong>Debug info:</strong> Tried to load:</p>
                 <ul>
-                    <li><code>games/${dateString}.meta.md</code></li>
-                    <li><code>games/${dateString}.meta.json</code></li>
+                    <li><code>games/${escapeHtml(dateString)}.meta.json</code></li>
+                    <li><code>games/${escapeHtml(dateString)}.meta.md</code></li>
                 </ul>
             `;
         });
 }
 
-// Close modal when clicking outside
+// Structured view of a meta.json file. Every value is escaped; prompts are shown as plain text.
+function renderMetadataSummary(metadata, dateString) {
+    const formatNumber = value => (typeof value === 'number' ? value.toLocaleString('en-US') : 'Unknown');
+    const field = (label, value) => value === undefined || value === null || value === ''
+        ? ''
+        : `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`;
+
+    const tokenSteps = [
+        ['Generate', metadata.response_tokens],
+        ['Improve visuals & audio', metadata.improve_response_tokens],
+        ['Format', metadata.formatting_response_tokens]
+    ].filter(([, tokens]) => tokens !== undefined);
+    const totalTokens = tokenSteps.reduce((sum, [, tokens]) => sum + (typeof tokens === 'number' ? tokens : 0), 0);
+
+    const renderScore = (title, functionality) => {
+        if (!functionality) return '';
+        const list = (items, symbol) => items && items.length
+            ? `<ul>${items.map(item => `<li>${symbol} ${escapeHtml(item)}</li>`).join('')}</ul>`
+            : '<p>None</p>';
+        return `
+            <h3>${title}</h3>
+            <p>
+                <strong>${functionality.score}/${functionality.max_score}</strong>
+                (${Number(functionality.percentage).toFixed(1)}%)
+                <span class="metadata-badge ${functionality.passing ? 'passing' : 'failing'}">${functionality.passing ? 'Passing' : 'Failing'}</span>
+            </p>
+            <h4>Issues</h4>
+            ${list(functionality.issues, '❌')}
+            <h4>Warnings</h4>
+            ${list(functionality.warnings, '⚠️')}
+        `;
+    };
+
+    const renderPrompt = (title, prompt) => prompt
+        ? `<details class="metadata-section"><summary>${title}</summary><pre><code>${escapeHtml(prompt)}</code></pre></details>`
+        : '';
+
+    return `
+        <h2>Game of the Day - ${escapeHtml(metadata.generated_date || dateString)}</h2>
+        <dl class="metadata-fields">
+            ${field('Model', metadata.model)}
+            ${field('Theme', metadata.theme)}
+            ${field('Generated', metadata.generated_timestamp)}
+            ${field('Game file', metadata.game_filename)}
+            ${field('File size', typeof metadata.game_size_bytes === 'number' ? `${formatNumber(metadata.game_size_bytes)} bytes` : null)}
+        </dl>
+        <h3>Tokens</h3>
+        <table class="metadata-table">
+            <tbody>
+                ${tokenSteps.map(([step, tokens]) => `<tr><td>${step}</td><td>${formatNumber(tokens)}</td></tr>`).join('')}
+            </tbody>
+            ${tokenSteps.length > 1 ? `<tfoot><tr><td>Total</td><td>${formatNumber(totalTokens)}</td></tr></tfoot>` : ''}
+        </table>
+        ${renderScore('Functionality', metadata.functionality)}
+        ${renderScore('Final Functionality', metadata.final_functionality)}
+        <form class="metadata-compare" onsubmit="event.preventDefault(); compareMetadata('${escapeHtml(dateString)}', this.elements.other.value);">
+            <label>Compare with
+                <select name="other"><option value="">Loading dates...</option></select>
+            </label>
+            <button type="submit" class="metadata-btn">Compare prompts</button>
+        </form>
+        ${renderPrompt('Prompt', metadata.prompt)}
+        ${renderPrompt('Improve prompt', metadata.improve_prompt)}
+        <details class="metadata-section metadata-report">
+            <summary>Full report</summary>
+            <div class="metadata-report-body"><p>Loading...</p></div>
+        </details>
+    `;
+}
+
+// Prompt comparison: diff the prompts of two days and line up model, tokens, size and scores
+function populateCompareSelect(select, dateString) {
+    loadArchiveManifest().then(games => {
+        const others = games.filter(game => game.date !== dateString);
+        // Default to the closest earlier day, the usual "what changed since yesterday" question
+        const previous = others.find(game => game.date < dateString) || others[0];
+        select.innerHTML = others
+            .map(game => `<option value="${game.date}" ${game === previous ? 'selected' : ''}>${game.date}${game.title ? ` - ${escapeHtml(game.title)}` : ''}</option>`)
+            .join('');
+    });
+}
+
+function compareMetadata(dateString, otherDate) {
+    if (!DATE_PATTERN.test(otherDate || '')) return;
+    setRoute({ type: 'game', date: dateString, metadata: true, compare: otherDate }, true);
+    loadMetadataComparison(dateString, otherDate);
+}
+
+function loadMetadataComparison(dateString, otherDate) {
+    const content = document.getElementById('metadata-content');
+    content.innerHTML = '<p class="metadata-loading">Loading comparison...</p>';
+    // Older day on the left so additions read as "what the newer prompt added"
+    const [before, after] = [dateString, otherDate].sort();
+    const fetchMetadata = date => fetch(`games/${date}.meta.json`).then(response => {
+        if (!response.ok) throw new Error(`No meta.json for ${date}`);
+        return response.json();
+    });
+
+    Promise.all([fetchMetadata(before), fetchMetadata(after)])
+        .then(([beforeMeta, afterMeta]) => {
+            content.innerHTML = renderMetadataComparison(beforeMeta, afterMeta, before, after, dateString);
+        })
+        .catch(error => {
+            console.log('Comparison failed:', error);
+            content.innerHTML = `
+                <h2>Comparison Unavailable</h2>
+                <p>${escapeHtml(error.message)}. Only games with a meta.json file can be compared.</p>
+                <button type="button" class="metadata-btn" onclick="showMetadata('${escapeHtml(dateString)}')">Back to metadata</button>
+            `;
+        });
+}
+
+function renderMetadataComparison(beforeMeta, afterMeta, before, after, dateString) {
+    const formatNumber = value => (typeof value === 'number' ? value.toLocaleString('en-US') : '—');
+    const totalTokens = meta => ['response_tokens', 'improve_response_tokens', 'formatting_response_tokens']
+        .reduce((sum, key) => sum + (typeof meta[key] === 'number' ? meta[key] : 0), 0);
+    const score = functionality => functionality
+        ? `${functionality.score}/${functionality.max_score} (${Number(functionality.percentage).toFixed(1)}%)`
+        : '—';
+
+    const rows = [
+        ['Model', beforeMeta.model, afterMeta.model],
+        ['Theme', beforeMeta.theme, afterMeta.theme],
+        ['Generate tokens', beforeMeta.response_tokens, afterMeta.response_tokens],
+        ['Improve tokens', beforeMeta.improve_response_tokens, afterMeta.improve_response_tokens],
+        ['Format tokens', beforeMeta.formatting_response_tokens, afterMeta.formatting_response_tokens],
+        ['Total tokens', totalTokens(beforeMeta), totalTokens(afterMeta)],
+        ['Game size (bytes)', beforeMeta.game_size_bytes, afterMeta.game_size_bytes],
+        ['Functionality', score(beforeMeta.functionality), score(afterMeta.functionality)],
+        ['Final functionality', score(beforeMeta.final_functionality), score(afterMeta.final_functionality)]
+    ].map(([label, left, right]) => {
+        const numeric = typeof left === 'number' && typeof right === 'number';
+        const delta = numeric && left !== right ? `${right > left ? '+' : ''}${formatNumber(right - left)}` : '';
+        const changed = numeric ? left !== right : String(left) !== String(right);
+        return `
+            <tr class="${changed ? 'changed' : ''}">
+                <td>${label}</td>
+                <td>${escapeHtml(numeric ? formatNumber(left) : (left ?? '—'))}</td>
+                <td>${escapeHtml(numeric ? formatNumber(right) : (right ?? '—'))}</td>
+                <td>${delta}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const renderPromptDiff = (title, key) => {
+        const left = beforeMeta[key] || '';
+        const right = afterMeta[key] || '';
+        if (!left && !right) return '';
+        const ops = diffWords(left, right);
+        const changes = ops.filter(op => op.type !== 'same').length;
+        const side = keep => ops
+            .filter(op => op.type === 'same' || op.type === keep)
+            .map(op => op.type === 'same'
+                ? escapeHtml(op.value)
+                : `<${keep === 'removed' ? 'del' : 'ins'}>${escapeHtml(op.value)}</${keep === 'removed' ? 'del' : 'ins'}>`)
+            .join('');
+        return `
+            <details class="metadata-section" ${key === 'prompt' ? 'open' : ''}>
+                <summary>${title} ${changes ? `(${changes} change${changes === 1 ? '' : 's'})` : '(identical)'}</summary>
+                <div class="prompt-diff">
+                    <pre><code>${side('removed')}</code></pre>
+                    <pre><code>${side('added')}</code></pre>
+                </div>
+            </details>
+        `;
+    };
+
+    return `
+        <h2>Compare ${escapeHtml(before)} → ${escapeHtml(after)}</h2>
+        <button type="button" class="metadata-btn" onclick="showMetadata('${escapeHtml(dateString)}')">Back to metadata</button>
+        <table class="metadata-table metadata-compare-table">
+            <thead><tr><th></th><th>${escapeHtml(before)}</th><th>${escapeHtml(after)}</th><th>Change</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${renderPromptDiff('Prompt', 'prompt')}
+        ${renderPromptDiff('Improve prompt', 'improve_prompt')}
+    `;
+}
+
+// Word-level diff. Lines are matched first and words are only diffed inside changed runs of lines,
+// which keeps the improve prompts (they embed the whole game source) fast to compare.
+const MAX_DIFF_CELLS = 2000000;
+
+function diffWords(before, after) {
+    const ops = [];
+    const push = (type, value) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) last.value += value;
+        else ops.push({ type, value });
+    };
+    const toLines = text => text.split(/(?<=\n)/);
+    const toWords = text => text.split(/(\s+)/).filter(Boolean);
+
+    const lineOps = diffSequences(toLines(before), toLines(after));
+    for (let i = 0; i < lineOps.length; i++) {
+        if (lineOps[i].type === 'same') {
+            push('same', lineOps[i].value);
+            continue;
+        }
+        // Gather a run of removed/added lines and diff its words
+        let removed = '';
+        let added = '';
+        for (; i < lineOps.length && lineOps[i].type !== 'same'; i++) {
+            if (lineOps[i].type === 'removed') removed += lineOps[i].value;
+            else added += lineOps[i].value;
+        }
+        i--;
+        diffSequences(toWords(removed), toWords(added)).forEach(op => push(op.type, op.value));
+    }
+    return ops;
+}
+
+// Longest-common-subsequence diff of two token arrays. Runs too large to diff exactly are reported
+// as a single removal and addition.
+function diffSequences(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(value => ({ type: 'same', value }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const rows = midA.length + 1;
+    const cols = midB.length + 1;
+
+    if (rows * cols > MAX_DIFF_CELLS) {
+        if (midA.length) ops.push({ type: 'removed', value: midA.join('') });
+        if (midB.length) ops.push({ type: 'added', value: midB.join('') });
+    } else {
+        // lengths[i * cols + j] = LCS length of midA[i:] and midB[j:]
+        const lengths = new Uint32Array(rows * cols);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lengths[i * cols + j] = midA[i] === midB[j]
+                    ? lengths[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                ops.push({ type: 'same', value: midA[i++] });
+                j++;
+            } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+                ops.push({ type: 'removed', value: midA[i++] });
+            } else {
+                ops.push({ type: 'added', value: midB[j++] });
+            }
+        }
+        while (i < midA.length) ops.push({ type: 'removed', value: midA[i++] });
+        while (j < midB.length) ops.push({ type: 'added', value: midB[j++] });
+    }
+
+    a.slice(endA).forEach(value => ops.push({ type: 'same', value }));
+    return ops;
+}
+
+// Small markdown renderer for the meta.md reports: headings, paragraphs, nested lists, fenced code,
+// blockquotes, rules and inline code/bold/italic/links. The source is escaped before any markup is
+// added and only http(s) or relative links are kept, so a report can never inject HTML.
+function renderMarkdown(markdown) {
+    const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    const listStack = []; // { type: 'ul' | 'ol', indent }
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            html.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeLists = (indent) => {
+        while (listStack.length && listStack[listStack.length - 1].indent >= indent) {
+            html.push(`</li></${listStack.pop().type}>`);
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fence = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            flushParagraph();
+            closeLists(0);
+            const code = [];
+            while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i]);
+            html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            closeLists(0);
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            closeLists(0);
+            html.push('<hr>');
+            continue;
+        }
+
+        const quote = line.match(/^\s*>\s?(.*)$/);
+        if (quote) {
+            flushParagraph();
+            closeLists(0);
+            html.push(`<blockquote>${renderMarkdownInline(quote[1])}</blockquote>`);
+            continue;
+        }
+
+        const item = line.match(/^(\s*)([-*+•]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            flushParagraph();
+            const indent = item[1].length;
+            const type = /\d/.test(item[2]) ? 'ol' : 'ul';
+            const top = listStack[listStack.length - 1];
+            if (top && indent < top.indent) closeLists(indent + 1);
+            const current = listStack[listStack.length - 1];
+            if (current && current.indent === indent && current.type === type) {
+                html.push('</li>');
+            } else if (current && current.indent === indent) {
+                closeLists(indent);
+                html.push(`<${type}>`);
+                listStack.push({ type, indent });
+            } else {
+                html.push(`<${type}>`);
+                listStack.push({ type, indent });
+            }
+            html.push(`<li>${renderMarkdownInline(item[3])}`);
+            continue;
+        }
+
+        // Plain text directly under a list item continues that item
+        if (listStack.length && /^\s+/.test(line)) {
+            html.push(`<br>${renderMarkdownInline(line.trim())}`);
+            continue;
+        }
+
+        closeLists(0);
+        paragraph.push(line);
+    }
+    flushParagraph();
+    closeLists(0);
+    return html.join('\n');
+}
+
+function renderMarkdownInline(text) {
+    // Pull code spans out first so their contents are not formatted
+    const codeSpans = [];
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+    html = html
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*?)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            const safe = /^(https?:\/\/|\/|\.{0,2}\/|#)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+            return safe ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>` : label;
+        });
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+// Archive browser: filter the manifest by theme, model, skill, score and date range, plus free-text search
+let archiveSearchIndexPromise = null;
+function loadArchiveSearchIndex() {
+    if (!archiveSearchIndexPromise) {
+        archiveSearchIndexPromise = fetch('games/search-index.json')
+            .then(res => res.ok ? res.json() : { prompts: [], games: {} })
+            .catch(error => {
+                console.warn('Prompt search unavailable:', error);
+                return { prompts: [], games: {} };
+            });
+    }
+    return archiveSearchIndexPromise;
+}
+
+function showArchive() {
+    const modal = document.getElementById('archive-modal');
+    modal.style.display = 'flex';
+    Promise.all([loadArchiveManifest(), loadArchiveSearchIndex()])
+        .then(([games]) => {
+            populateArchiveFilters(games);
+            applyArchiveFilters();
+            document.getElementById('archive-search').focus();
+        })
+        .catch(error => {
+            console.error('Failed to load the archive:', error);
+            document.getElementById('archive-results').innerHTML = '<div class="error-message">Failed to load the archive</div>';
+        });
+}
+
+function hideArchive() {
+    const modal = document.getElementById('archive-modal');
+    modal.style.display = 'none';
+}
+
+function populateArchiveFilters(games) {
+    const form = document.getElementById('archive-filters');
+    if (form.dataset.populated) return;
+    const distinct = values => [...new Set(values.filter(Boolean))].sort();
+    const fillSelect = (name, values) => {
+        const select = form.elements[name];
+        select.innerHTML = '<option value="">Any</option>' +
+            values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    };
+    fillSelect('theme', distinct(games.map(game => game.theme)));
+    fillSelect('model', distinct(games.map(game => game.model)));
+    fillSelect('skill', distinct(games.flatMap(game => game.skills || [])));
+    const dates = games.map(game => game.date).sort();
+    ['from', 'to'].forEach(name => {
+        form.elements[name].min = dates[0];
+        form.elements[name].max = dates[dates.length - 1];
+    });
+    form.dataset.populated = 'true';
+}
+
+function applyArchiveFilters() {
+    const form = document.getElementById('archive-filters');
+    const results = document.getElementById('archive-results');
+    const filters = {
+        terms: form.elements.search.value.toLowerCase().split(/\s+/).filter(Boolean),
+        theme: form.elements.theme.value,
+        model: form.elements.model.value,
+        skill: form.elements.skill.value,
+        minScore: Number(form.elements.score.value) || 0,
+        from: form.elements.from.value,
+        to: form.elements.to.value
+    };
+
+    Promise.all([loadArchiveManifest(), loadArchiveSearchIndex()]).then(([games, searchIndex]) => {
+        const matches = games.filter(game => {
+            if (filters.theme && game.theme !== filters.theme) return false;
+            if (filters.model && game.model !== filters.model) return false;
+            if (filters.skill && !(game.skills || []).includes(filters.skill)) return false;
+            if (filters.minScore && !(game.functionality && game.functionality.percentage >= filters.minScore)) return false;
+            if (filters.from && game.date < filters.from) return false;
+            if (filters.to && game.date > filters.to) return false;
+            if (filters.terms.length) {
+                const promptId = searchIndex.games[game.date];
+                const haystack = [
+                    game.date, game.title, game.theme, game.model, (game.skills || []).join(' '),
+                    promptId === undefined ? '' : searchIndex.prompts[promptId]
+                ].join(' ').toLowerCase();
+                if (!filters.terms.every(term => haystack.includes(term))) return false;
+            }
+            return true;
+        });
+
+        document.getElementById('archive-count').textContent = `${matches.length} of ${games.length} games`;
+        results.innerHTML = matches.length
+            ? matches.map(game => `
+                <button type="button" class="archive-result" onclick="hideArchive(); loadDailyGame('${game.date}');">
+                    <span class="archive-result-date">${game.date}</span>
+                    ${renderGameCardDetails(game)}
+                </button>
+            `).join('')
+            : '<p class="archive-empty">No games match these filters.</p>';
+    });
+}
+
+function resetArchiveFilters() {
+    document.getElementById('archive-filters').reset();
+    applyArchiveFilters();
+}
+
+// Close modals when clicking outside
 document.addEventListener('click', function(event) {
     const modal = document.getElementById('metadata-modal');
     if (event.target === modal) {
         hideMetadata();
     }
+    if (event.target === document.getElementById('archive-modal')) {
+        hideArchive();
+    }
+    if (event.target === document.getElementById('profile-modal')) {
+        hideProfiles();
+    }
+    if (event.target === document.getElementById('settings-modal')) {
+        hideSettings();
+    }
 });
 
-// Close modal with Escape key
+// Close modals with Escape key
 document.addEventListener('keydown', function(event) {
     if (event.key === 'Escape') {
         hideMetadata();
+        hideArchive();
+        hideProfiles();
+        hideSettings();
     }
 });
\ No newline at end of file
@@ -0,0 +1,119 @@
+// Accessibility and sound settings shared by every game, saved per player profile (profiles.js) in the
+// same 'settings' data as the touch controls and switch scanning toggles. Games read them through
+// GameOfTheDay.getSettings() in game-runtime.js:
+//
+//   { reducedMotion, highContrast, largerText, muted, masterVolume: 0-1, soundVolume: 0-1 (effects),
+//     musicVolume: 0-1, narration, narrationVolume: 0-1, speechRate: 0.5-2, voice, colorblindPalette }
+//
+// narration turns on read-aloud (narration.js) and voice is the voiceURI it speaks with, '' for the default.
+// muted silences games and read-aloud alike.
+//
+// The host applies them to its own page, and the frame enforces what it can for games that ignore them:
+// volume through the wrapped AudioContext and media elements, contrast and the colorblind-safe palette
+// as filters over the stage.
+const DEFAULT_GAME_SETTINGS = {
+    reducedMotion: false,
+    highContrast: false,
+    largerText: false,
+    muted: false,
+    masterVolume: 1,
+    soundVolume: 1,
+    musicVolume: 1,
+    narration: false,
+    narrationVolume: 1,
+    speechRate: 1,
+    voice: '',
+    colorblindPalette: false
+};
+const GAME_SETTING_RANGES = {
+    masterVolume: [0, 1],
+    soundVolume: [0, 1],
+    musicVolume: [0, 1],
+    narrationVolume: [0, 1],
+    speechRate: [0.5, 2]
+};
+
+// Saved values where they are valid, defaults for the rest. Reduced motion follows the device's own
+// setting until the player picks one.
+function getGameSettings(profileId) {
+    const saved = readProfileData('settings', {}, profileId);
+    const settings = {};
+    Object.keys(DEFAULT_GAME_SETTINGS).forEach(name => {
+        const value = saved[name];
+        const range = GAME_SETTING_RANGES[name];
+        if (range) {
+            settings[name] = Number.isFinite(value) ? Math.min(range[1], Math.max(range[0], value)) : DEFAULT_GAME_SETTINGS[name];
+        } else {
+            settings[name] = typeof value === typeof DEFAULT_GAME_SETTINGS[name] ? value : DEFAULT_GAME_SETTINGS[name];
+        }
+    });
+    if (typeof saved.reducedMotion !== 'boolean') {
+        settings.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+    return settings;
+}
+
+function updateGameSettings(changes) {
+    const settings = readProfileData('settings', {});
+    writeProfileData('settings', Object.assign(settings, changes));
+    applyGameSettings();
+}
+
+function applyGameSettings() {
+    const settings = getGameSettings();
+    document.documentElement.classList.toggle('reduced-motion', settings.reducedMotion);
+    document.documentElement.classList.toggle('high-contrast', settings.highContrast);
+    document.documentElement.classList.toggle('larger-text', settings.largerText);
+    const frameWindow = getCurrentGameWindow();
+    try {
+        if (frameWindow && typeof frameWindow.__applyGameSettings === 'function') frameWindow.__applyGameSettings(settings);
+    } catch (_) {}
+    if (!settings.narration || settings.muted) stopNarration();
+    const muteToggle = document.getElementById('mute-toggle');
+    if (muteToggle) muteToggle.setAttribute('aria-pressed', String(settings.muted));
+    renderSettingsForm(settings);
+}
+
+function toggleGameMute() {
+    updateGameSettings({ muted: !getGameSettings().muted });
+}
+
+function showSettings() {
+    document.getElementById('settings-modal').style.display = 'flex';
+    renderSettingsForm(getGameSettings());
+}
+
+function hideSettings() {
+    document.getElementById('settings-modal').style.display = 'none';
+}
+
+function renderSettingsForm(settings) {
+    const form = document.getElementById('settings-form');
+    if (!form) return;
+    Object.entries(settings).forEach(([name, value]) => {
+        const input = form.elements[name];
+        if (!input) return;
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        const output = form.querySelector(`output[for="${name}"]`);
+        if (output) output.textContent = name === 'speechRate' ? `${value}×` : `${Math.round(value * 100)}%`;
+    });
+}
+
+// oninput of the settings form: every control is named after its setting
+function readSettingsForm(form) {
+    const changes = {};
+    Object.keys(DEFAULT_GAME_SETTINGS).forEach(name => {
+        const input = form.elements[name];
+        // A saved voice this browser has not listed yet stays saved
+        if (!input || input.selectedIndex === -1) return;
+        changes[name] = input.type === 'checkbox' ? input.checked : input.type === 'range' ? Number(input.value) : input.value;
+    });
+    updateGameSettings(changes);
+}
+
+window.addEventListener('DOMContentLoaded', applyGameSettings);
+document.addEventListener('gotd:profilechange', applyGameSettings);
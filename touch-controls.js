@@ -0,0 +1,134 @@
+// On-screen controls for tablets: a D-pad and action buttons under the stage that send the mounted game
+// the key events a keyboard would (holdGameKey in script.js), so keyboard-only games can be played by
+// touch. A game describes its keys in its metadata, games/<name>.meta.json:
+//
+//   "controls": {
+//       "dpad": "arrows",     // "arrows", "wasd" or "none"
+//       "buttons": [{ "label": "Open gate", "key": " " }, { "label": "Help", "key": "h" }],
+//       "gamepad": { "x": "q" }  // gamepad buttons, see script.js
+//   }
+//
+// Keys are KeyboardEvent.key values ("ArrowUp", " ", "Enter", "q", ...). Games without a mapping get an
+// arrow D-pad with Space and Enter. The controls show by default on touch screens; each player can
+// switch them on or off.
+const DEFAULT_TOUCH_CONTROLS = {
+    dpad: 'arrows',
+    buttons: [{ label: 'Space', key: ' ' }, { label: 'Enter', key: 'Enter' }]
+};
+const MAX_TOUCH_BUTTONS = 6;
+const TOUCH_DPAD_DEAD_ZONE = 0.25; // share of the pad's radius where no direction is pressed
+// Eight directions, clockwise from right, as atan2 sectors
+const TOUCH_DPAD_SECTORS = [['right'], ['down', 'right'], ['down'], ['down', 'left'], ['left'], ['up', 'left'], ['up'], ['up', 'right']];
+
+let touchControls = DEFAULT_TOUCH_CONTROLS;
+let heldDpadDirections = [];
+
+// Only what the host can press: known keys, a short label, at most MAX_TOUCH_BUTTONS buttons
+function normalizeTouchControls(controls) {
+    if (!controls || typeof controls !== 'object') return DEFAULT_TOUCH_CONTROLS;
+    const dpad = (GAME_DIRECTION_KEYS[controls.dpad] || controls.dpad === 'none') ? controls.dpad : DEFAULT_TOUCH_CONTROLS.dpad;
+    const buttons = (Array.isArray(controls.buttons) ? controls.buttons : DEFAULT_TOUCH_CONTROLS.buttons)
+        .filter(button => button && typeof button.key === 'string' && describeGameKey(button.key))
+        .slice(0, MAX_TOUCH_BUTTONS)
+        .map(button => ({ label: String(button.label || button.key).slice(0, 16), key: button.key }));
+    return { dpad, buttons };
+}
+
+// Called by script.js with the game's controls from its metadata, or null for the defaults
+function setTouchControls(controls) {
+    releaseAllTouchKeys();
+    touchControls = normalizeTouchControls(controls);
+    renderTouchControls();
+}
+
+function touchControlsVisible() {
+    const setting = readProfileData('settings', {}).touchControls;
+    if (typeof setting === 'boolean') return setting;
+    return window.matchMedia('(any-pointer: coarse)').matches;
+}
+
+function toggleTouchControls() {
+    const settings = readProfileData('settings', {});
+    settings.touchControls = !touchControlsVisible();
+    writeProfileData('settings', settings);
+    renderTouchControls();
+}
+
+function releaseAllTouchKeys() {
+    releaseAllGameKeys('touch');
+    heldDpadDirections = [];
+    const pad = document.getElementById('touch-dpad');
+    if (pad) pad.className = 'touch-dpad';
+}
+
+function dpadDirectionsAt(pad, event) {
+    const rect = pad.getBoundingClientRect();
+    const dx = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    const dy = ((event.clientY - rect.top) / rect.height) * 2 - 1;
+    if (Math.hypot(dx, dy) < TOUCH_DPAD_DEAD_ZONE) return [];
+    const sector = Math.round(Math.atan2(dy, dx) / (Math.PI / 4));
+    return TOUCH_DPAD_SECTORS[(sector + 8) % 8];
+}
+
+function setDpadDirections(directions) {
+    const keys = GAME_DIRECTION_KEYS[touchControls.dpad];
+    if (!keys) return;
+    heldDpadDirections.filter(direction => !directions.includes(direction)).forEach(direction => releaseGameKey(keys[direction], 'touch'));
+    directions.filter(direction => !heldDpadDirections.includes(direction)).forEach(direction => holdGameKey(keys[direction], 'touch'));
+    heldDpadDirections = directions;
+    document.getElementById('touch-dpad').className = ['touch-dpad'].concat(directions.map(direction => `pressed-${direction}`)).join(' ');
+}
+
+function renderTouchControls() {
+    const container = document.getElementById('touch-controls');
+    if (!container) return;
+    const visible = touchControlsVisible();
+    container.hidden = !visible;
+    const toggle = document.getElementById('touch-controls-toggle');
+    if (toggle) toggle.setAttribute('aria-pressed', String(visible));
+
+    document.getElementById('touch-dpad').hidden = !GAME_DIRECTION_KEYS[touchControls.dpad];
+    const buttons = document.getElementById('touch-buttons');
+    buttons.innerHTML = '';
+    touchControls.buttons.forEach(({ label, key }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'touch-button';
+        button.textContent = label;
+        button.addEventListener('pointerdown', event => {
+            event.preventDefault();
+            button.setPointerCapture(event.pointerId);
+            button.classList.add('pressed');
+            holdGameKey(key, 'touch');
+        });
+        ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+            button.addEventListener(type, () => {
+                button.classList.remove('pressed');
+                releaseGameKey(key, 'touch');
+            });
+        });
+        buttons.appendChild(button);
+    });
+}
+
+window.addEventListener('DOMContentLoaded', function () {
+    const pad = document.getElementById('touch-dpad');
+    if (!pad) return;
+    pad.addEventListener('pointerdown', event => {
+        event.preventDefault();
+        pad.setPointerCapture(event.pointerId);
+        setDpadDirections(dpadDirectionsAt(pad, event));
+    });
+    pad.addEventListener('pointermove', event => {
+        if (pad.hasPointerCapture(event.pointerId)) setDpadDirections(dpadDirectionsAt(pad, event));
+    });
+    ['pointerup', 'pointercancel', 'lostpointercapture'].forEach(type => {
+        pad.addEventListener(type, () => setDpadDirections([]));
+    });
+    renderTouchControls();
+});
+
+document.addEventListener('gotd:profilechange', renderTouchControls);
+document.addEventListener('visibilitychange', function () {
+    if (document.hidden) releaseAllTouchKeys();
+});